@@ -71,7 +71,7 @@ async function fetchProbabilities(gameId, sport) {
     if (!items || items.length < 10) return null;
 
     return items.map(p => ({
-      value: Math.max(0, Math.min(1, p.homeWinPercentage || 0.5)),
+      value: Math.max(0, Math.min(1, p.homeWinPercentage ?? 0.5)),
       period: p.period || 1,
       clock: p.clock
     }));
@@ -11,6 +11,10 @@
  * This is essentially "average absolute WP change per data point" scaled to 1-10.
  *
  * Tests against canonical games and compares distributions.
+ *
+ * The tuned formulas are registered as the 'swing-sum' and 'leverage-swing'
+ * scorers (api/scorers.js); run them end to end with
+ *   node scripts/compare-canonical-games.js --scorer swing-sum
  */
 
 import { readFile, readdir } from 'fs/promises';
@@ -18,19 +22,12 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { fetchAllProbabilities } from '../shared/espn-api.js';
 import { getTier } from '../shared/algorithm-config.js';
+import { normalizeProbabilities } from '../api/scorers.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CANONICAL_PATH = join(__dirname, 'canonical-games.json');
 const DATA_DIR = join(__dirname, '..', 'public', 'data');
 
-// Parse ESPN probability items into {value, period, clock}
-function parseProbs(items) {
-  return items.map(item => ({
-    value: Math.max(0, Math.min(1, item.homeWinPercentage || 0.5)),
-    period: item.sequenceNumber != null ? undefined : undefined,
-  })).filter(p => p.value >= 0 && p.value <= 1);
-}
-
 // Proposed formula: sum of absolute WP changes, normalized
 function proposedGEI(probs, variant = 'base') {
   if (probs.length < 2) return 0;
@@ -128,7 +125,7 @@ async function main() {
         continue;
       }
 
-      const probs = parseProbs(items);
+      const probs = normalizeProbabilities(items);
       const baseMetrics = proposedGEI(probs, 'base');
       const leverageMetrics = proposedGEI(probs, 'leverage');
 
@@ -0,0 +1,51 @@
+/**
+ * Game Archetypes
+ *
+ * Classifies a game by the shape of its win-probability trace, so viewers can
+ * pick by mood rather than by score alone. Rules are checked in the order of
+ * `ALGORITHM_CONFIG.archetypes.types`; the first match wins:
+ * - late-collapse: the eventual loser had it nearly won late
+ * - comeback: the eventual winner climbed out of a deep hole earlier on
+ * - slugfest: big swings and lead changes traded all game
+ * - thriller: a wire-to-wire coin flip, in doubt until the end
+ * - blowout: never competitive, or decided early without tension
+ * - steady: none of the above
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+
+const RULES = {
+  'late-collapse': (f, t) =>
+    f.comeback.maxDeficit >= t.comebackDeficit && f.comeback.gameProgress >= t.lateCollapseProgress,
+  comeback: (f, t) => f.comeback.maxDeficit >= t.comebackDeficit,
+  slugfest: (f, t) =>
+    f.volatility >= t.slugfestVolatility ||
+    (f.leadChanges >= t.slugfestLeadChanges && f.drama >= t.slugfestDrama),
+  thriller: (f, t) =>
+    f.wasAlwaysCompetitive ||
+    (f.tension >= t.thrillerTension && f.decisionLateness >= t.thrillerDecisionLateness),
+  blowout: (f, t) =>
+    !f.wasEverCompetitive ||
+    (f.tension <= t.blowoutTension && f.decisionLateness < t.blowoutDecisionLateness),
+  steady: () => true
+};
+
+/**
+ * Classifies a game into an archetype.
+ *
+ * @param {Object} features - Trace features from the calculator
+ * @param {Object} features.comeback - { maxDeficit, gameProgress } for the eventual winner
+ * @param {number} features.volatility - Volatility bonus (0-1.5)
+ * @param {number} features.leadChanges - Number of 50% crossings
+ * @param {number} features.tension - Tension score (0-10)
+ * @param {number} features.drama - Drama score (0-10)
+ * @param {number} features.decisionLateness - 0 = decided at the start, 1 = at the end
+ * @param {boolean} features.wasEverCompetitive
+ * @param {boolean} features.wasAlwaysCompetitive
+ * @returns {Object} { key, label }
+ */
+export function classifyArchetype(features) {
+  const { types, thresholds } = ALGORITHM_CONFIG.archetypes;
+  const match = types.find(type => RULES[type.key]?.(features, thresholds)) || types[types.length - 1];
+  return { key: match.key, label: match.label };
+}
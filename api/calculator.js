@@ -1,92 +1,256 @@
 // Entertainment Scoring Algorithm
 // Analyzes NFL/CFB games using ESPN win probability data to rank entertainment value
 
-import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+import {
+  getAlgorithmConfig,
+  listAlgorithmVersions,
+  withAlgorithmVersion,
+  withConfigPatch
+} from '../shared/algorithm-versions.js';
 import { detectDataQualityIssues } from './data-quality.js';
-import { fetchAllProbabilities } from '../shared/espn-api.js';
-
+import { fetchAllProbabilities, fetchRawProbabilities, fetchScoringProgression } from '../shared/espn-api.js';
+import {
+  countOvertimePeriods,
+  getRegulationPeriods,
+  formatGameTime,
+  formatPeriodClock,
+  formatPeriodLabel,
+  parseClockSeconds
+} from './game-clock.js';
+import { resampleByGameTime } from './time-resampling.js';
+import { detectUpset } from './upset.js';
+import { calculateStakes, calculateStakesBonus } from './stakes.js';
+import { estimateExcitementRange } from './uncertainty.js';
+import { generateGameSummary } from './summary.js';
+import { classifyArchetype } from './archetype.js';
+import { getScorer, normalizeProbabilities, registerScorer } from './scorers.js';
+import { scoreScoringProgression } from './play-by-play.js';
+import { repairProbabilityTrace } from './trace-repair.js';
+import { crossCheckScoringPlays } from './scoring-check.js';
+
+// Read through to ALGORITHM_CONFIG on every access so scoring follows
+// withAlgorithmVersion() swaps (shared/algorithm-versions.js)
 const SCORING_CONFIG = {
-  weights: ALGORITHM_CONFIG.weights,
-  thresholds: {
-    minDataPoints: ALGORITHM_CONFIG.thresholds.minDataPoints,
-    finalPeriodStart: 4, // Q4 for both football and basketball
-    finalMomentPoints: ALGORITHM_CONFIG.thresholds.finalMomentPoints,
-    walkoffSwingThreshold: ALGORITHM_CONFIG.thresholds.walkoffSwingThreshold,
-    leverageFloor: ALGORITHM_CONFIG.thresholds.leverageFloor,
-    lateDramaSwingThreshold: ALGORITHM_CONFIG.thresholds.lateDramaSwingThreshold,
-    largeFinalSwingThreshold: ALGORITHM_CONFIG.thresholds.largeFinalSwingThreshold,
-    lateClosenessThreshold: ALGORITHM_CONFIG.thresholds.lateClosenessThreshold,
-    dramaLogBase: ALGORITHM_CONFIG.thresholds.dramaLogBase,
-    tensionFloor: ALGORITHM_CONFIG.thresholds.tensionFloor,
-    finishLogBase: ALGORITHM_CONFIG.thresholds.finishLogBase,
-    finishWalkoff: ALGORITHM_CONFIG.thresholds.finishWalkoff,
-    exceptionalFinish: ALGORITHM_CONFIG.thresholds.exceptionalFinish,
-    blowoutMargin: ALGORITHM_CONFIG.thresholds.blowoutMargin,
-    competitiveBand: ALGORITHM_CONFIG.thresholds.competitiveBand,
-    dramaTimeWeight: ALGORITHM_CONFIG.thresholds.dramaTimeWeight,
-    leadChangeSigmoid: ALGORITHM_CONFIG.thresholds.leadChangeSigmoid,
-    comeback: ALGORITHM_CONFIG.thresholds.comeback,
-    decisionPoint: ALGORITHM_CONFIG.thresholds.decisionPoint
-  },
-  bonuses: ALGORITHM_CONFIG.bonuses
+  get weights() { return ALGORITHM_CONFIG.weights; },
+  get thresholds() { return ALGORITHM_CONFIG.thresholds; },
+  get bonuses() { return ALGORITHM_CONFIG.bonuses; }
 };
 
 // Re-export for backward compatibility - new code should import from '../shared/espn-api.js'
 export { fetchAllProbabilities };
 
-export async function analyzeGameEntertainment(game, sport = 'NFL') {
-  try {
-    const probItems = await fetchAllProbabilities(game.id, sport);
+// Fails fast on an unknown version, before any ESPN request is made
+function assertAlgorithmVersion(version) {
+  if (version && !getAlgorithmConfig(version)) {
+    throw new Error(`Unknown algorithm version "${version}" (available: ${listAlgorithmVersions().join(', ')})`);
+  }
+}
 
-    if (!probItems || probItems.length < SCORING_CONFIG.thresholds.minDataPoints) {
-      return null;
-    }
+// Runs synchronous scoring under the requested version, with the caller's
+// config patch (if any) applied on top of that version
+function withScoringConfig(options, fn) {
+  return withAlgorithmVersion(options.algorithmVersion, () =>
+    options.configPatch ? withConfigPatch(options.configPatch, fn) : fn()
+  );
+}
 
-    const excitement = calculateExcitement(probItems, game, sport);
+/**
+ * Analyzes a single game and returns the public game object.
+ *
+ * @param {Object} game - Game object from the fetcher
+ * @param {string} sport - Sport type (NFL, CFB, NBA, MLB, CBB)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeKeyMoments=false] - Attach the ranked `keyMoments` list
+ * @param {string} [options.scorer] - Registered scorer name (default `ALGORITHM_CONFIG.scorers.default`)
+ * @param {string} [options.algorithmVersion] - Frozen config version to score with (default: current)
+ * @param {Object} [options.configPatch] - Config overrides applied on top of that
+ *   version (patch shape of shared/algorithm-versions.js), e.g. for benchmarks
+ * @param {boolean} [options.scoringCheck] - Cross-check the WP trace against the
+ *   scoring plays, at the cost of one more ESPN request (default
+ *   `ALGORITHM_CONFIG.scoringCheck.enabled`)
+ * @returns {Promise<Object|null>} Analyzed game (scored from the scoring plays,
+ *   `scoreSource: 'play-by-play'`, when WP data is missing), or null when neither
+ *   source is usable. Fixes made to the WP trace are listed in `dataRepairs`;
+ *   scoring plays the WP trace missed are reported in `dataQuality`.
+ * @throws {Error} When `options.algorithmVersion` is unknown
+ */
+export async function analyzeGameEntertainment(game, sport = 'NFL', options = {}) {
+  assertAlgorithmVersion(options.algorithmVersion);
+  try {
+    // Repair follows the requested version too (traceRepair.enabled)
+    const rawItems = await fetchRawProbabilities(game.id, sport);
+    const { items: probItems, repairs } = withScoringConfig(options, () =>
+      repairProbabilityTrace(rawItems, sport)
+    );
+    const hasWinProbability = probItems?.length >= SCORING_CONFIG.thresholds.minDataPoints;
 
-    // Check for data quality issues
-    const dataQuality = detectDataQualityIssues(probItems, game, sport);
+    // Scoring plays: the fallback source without WP, the cross-check with it
+    const scoringCheck = options.scoringCheck ?? ALGORITHM_CONFIG.scoringCheck.enabled;
+    const events = !hasWinProbability || scoringCheck
+      ? await fetchScoringProgression(game.id, sport)
+      : null;
 
-    return {
-      id: game.id,
-      homeTeam: game.homeTeam,
-      awayTeam: game.awayTeam,
-      homeScore: game.homeScore,
-      awayScore: game.awayScore,
-      excitement: excitement.score,
-      breakdown: excitement.breakdown,
-      overtime: excitement.overtimeDetected ?? game.overtime,
-      bowlName: game.bowlName,
-      playoffRound: game.playoffRound,
-      homeSeed: game.homeSeed,
-      awaySeed: game.awaySeed,
-      bracketRound: game.bracketRound,
-      bracketRegion: game.bracketRegion,
-      dataQuality: dataQuality.hasIssues ? {
-        warning: true,
-        severity: dataQuality.severity,
-        issues: dataQuality.issues.map(i => i.message)
-      } : undefined
-    };
+    if (!hasWinProbability) {
+      return withScoringConfig(options, () =>
+        buildPlayByPlayAnalysis(events, game, sport)
+      );
+    }
+
+    // Scoring is synchronous, so the config swap never leaks into other requests
+    return withScoringConfig(options, () =>
+      buildGameAnalysis(probItems, { repairs, events }, game, sport, options)
+    );
   } catch (error) {
     console.error(`Error analyzing game ${game.id}:`, error);
     return null;
   }
 }
 
-export async function analyzeGameEntertainmentDetailed(game, sport = 'NFL') {
-  try {
-    const probItems = await fetchAllProbabilities(game.id, sport);
+/**
+ * Builds the public game object from repaired probability items (synchronous,
+ * so it can run inside withAlgorithmVersion).
+ */
+function buildGameAnalysis(probItems, { repairs, events }, game, sport, options) {
+  const scorer = getScorer(options.scorer);
+  const excitement = scorer.score(normalizeProbabilities(probItems), game, sport);
+  if (!excitement) return null;
+
+  // Check for data quality issues
+  const dataQuality = detectDataQualityIssues(probItems, game, sport, {
+    repairs,
+    scoringCheck: crossCheckScoringPlays(probItems, events, sport)
+  });
+
+  const correction = excitement.marginCorrectionInfo;
+  const excitementRange = estimateExcitementRange(probItems, excitement.score, {
+    scoreTrace: items => scorer.score(normalizeProbabilities(items), game, sport, { scoreOnly: true })?.score,
+    dataQualitySeverity: dataQuality.hasIssues ? dataQuality.severity : null,
+    marginCorrectionShift: correction?.applied ? correction.alpha * Math.abs(correction.residual) : 0
+  });
+
+  return {
+    id: game.id,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeScore: game.homeScore,
+    awayScore: game.awayScore,
+    excitement: excitement.score,
+    excitementRange,
+    scorer: scorer.name !== ALGORITHM_CONFIG.scorers.default ? scorer.name : undefined,
+    breakdown: excitement.breakdown,
+    overtime: excitement.overtimeDetected ?? game.overtime,
+    overtimePeriods: excitement.overtimePeriods ?? game.overtimePeriods,
+    upset: excitement.upset?.isUpset ? excitement.upset : undefined,
+    stakesBonus: calculateStakesBonus(
+      excitement.breakdown?.stakes ?? calculateStakes(game, sport).score,
+      excitement.score
+    ),
+    bowlName: game.bowlName,
+    playoffRound: game.playoffRound,
+    homeSeed: game.homeSeed,
+    awaySeed: game.awaySeed,
+    bracketRound: game.bracketRound,
+    bracketRegion: game.bracketRegion,
+    watchStart: excitement.watchStart,
+    summary: excitement.summary,
+    archetype: excitement.archetype,
+    keyMoments: options.includeKeyMoments ? excitement.keyMoments : undefined,
+    dataQuality: toPublicDataQuality(dataQuality),
+    dataRepairs: repairs.length > 0 ? repairs : undefined
+  };
+}
+
+/**
+ * Shapes detectDataQualityIssues output for the public game object
+ * (undefined when there are no issues).
+ */
+function toPublicDataQuality(dataQuality) {
+  if (!dataQuality.hasIssues) return undefined;
+  const affectedPeriods = [...new Set(dataQuality.issues.flatMap(i => i.periods || []))];
+  return {
+    warning: true,
+    severity: dataQuality.severity,
+    issues: dataQuality.issues.map(i => i.message),
+    issueTypes: dataQuality.issues.map(i => i.type),
+    affectedPeriods: affectedPeriods.length > 0 ? affectedPeriods : undefined
+  };
+}
+
+/**
+ * Builds the public game object from the scoring progression, for games
+ * without usable WP data (see api/play-by-play.js).
+ */
+function buildPlayByPlayAnalysis(events, game, sport) {
+  const excitement = scoreScoringProgression(events, game, sport);
+  if (!excitement) return null;
+
+  return {
+    id: game.id,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeScore: game.homeScore,
+    awayScore: game.awayScore,
+    excitement: excitement.score,
+    scoreSource: 'play-by-play',
+    breakdown: excitement.breakdown,
+    overtime: excitement.overtimePeriods > 0 || Boolean(game.overtime),
+    overtimePeriods: excitement.overtimePeriods,
+    stakesBonus: calculateStakesBonus(calculateStakes(game, sport).score, excitement.score),
+    bowlName: game.bowlName,
+    playoffRound: game.playoffRound,
+    homeSeed: game.homeSeed,
+    awaySeed: game.awaySeed,
+    bracketRound: game.bracketRound,
+    bracketRegion: game.bracketRegion,
+    dataQuality: {
+      warning: true,
+      severity: 'medium',
+      issues: ['No usable win probability data; scored from the scoring plays'],
+      issueTypes: ['no-win-probability']
+    }
+  };
+}
 
+/**
+ * Like analyzeGameEntertainment, but returns the detailed breakdown from
+ * calculateExcitementDetailed (debugging and audit scripts).
+ *
+ * @param {Object} game - Game object from the fetcher
+ * @param {string} sport - Sport type (NFL, CFB, NBA, MLB, CBB)
+ * @param {Object} [options] - `algorithmVersion`, `configPatch` and `scoringCheck`
+ *   as for analyzeGameEntertainment
+ * @returns {Promise<Object|null>} Detailed analysis, or null without usable WP data
+ * @throws {Error} When `options.algorithmVersion` is unknown
+ */
+export async function analyzeGameEntertainmentDetailed(game, sport = 'NFL', options = {}) {
+  assertAlgorithmVersion(options.algorithmVersion);
+  try {
+    const rawItems = await fetchRawProbabilities(game.id, sport);
+    const { items: probItems, repairs } = withScoringConfig(options, () =>
+      repairProbabilityTrace(rawItems, sport)
+    );
     if (!probItems || probItems.length < SCORING_CONFIG.thresholds.minDataPoints) {
       return null;
     }
 
-    const excitement = calculateExcitementDetailed(probItems, game, sport);
-    if (!excitement) return null;
+    const events = (options.scoringCheck ?? ALGORITHM_CONFIG.scoringCheck.enabled)
+      ? await fetchScoringProgression(game.id, sport)
+      : null;
 
-    // Check for data quality issues
-    const dataQuality = detectDataQualityIssues(probItems, game, sport);
+    const scored = withScoringConfig(options, () => {
+      const excitement = calculateExcitementDetailed(probItems, game, sport);
+      if (!excitement) return null;
+
+      // Check for data quality issues
+      const dataQuality = detectDataQualityIssues(probItems, game, sport, {
+        repairs,
+        scoringCheck: crossCheckScoringPlays(probItems, events, sport)
+      });
+      return { excitement, dataQuality };
+    });
+    if (!scored) return null;
+    const { excitement, dataQuality } = scored;
 
     return {
       id: game.id,
@@ -102,11 +266,8 @@ export async function analyzeGameEntertainmentDetailed(game, sport = 'NFL') {
       bracketRound: game.bracketRound,
       bracketRegion: game.bracketRegion,
       ...excitement,
-      dataQuality: dataQuality.hasIssues ? {
-        warning: true,
-        severity: dataQuality.severity,
-        issues: dataQuality.issues.map(i => i.message)
-      } : undefined
+      dataQuality: toPublicDataQuality(dataQuality),
+      dataRepairs: repairs.length > 0 ? repairs : undefined
     };
   } catch (error) {
     console.error(`Error analyzing game ${game.id}:`, error);
@@ -114,43 +275,68 @@ export async function analyzeGameEntertainmentDetailed(game, sport = 'NFL') {
   }
 }
 
-function calculateExcitement(probabilities, game, sport = 'NFL') {
-  const detailed = calculateExcitementDetailed(probabilities, game, sport);
-  if (!detailed) return null;
-  return {
-    score: detailed.score,
-    breakdown: detailed.breakdown,
-    overtimeDetected: detailed.overtimeDetected
-  };
-}
+// GEI scorers: the full algorithm, plus the decision-point adjustment
+// alternatives that used to be selectable only via
+// thresholds.decisionPoint.adjustmentMethod
+registerScorer('gei', {
+  description: 'Game Excitement Index (tension, drama, finish, bonuses, margin correction)',
+  score: (probs, game, sport, context = {}) => scoreTrace(probs, game, sport, { scoreOnly: context.scoreOnly })
+});
+registerScorer('gei-decision-a', {
+  description: 'GEI with decision-point multiplier (lateness ^ exponent)',
+  score: (probs, game, sport, context = {}) =>
+    scoreTrace(probs, game, sport, { decisionMethod: 'A', scoreOnly: context.scoreOnly })
+});
+registerScorer('gei-decision-c', {
+  description: 'GEI blended with a decision-lateness score',
+  score: (probs, game, sport, context = {}) =>
+    scoreTrace(probs, game, sport, { decisionMethod: 'C', scoreOnly: context.scoreOnly })
+});
 
 function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
-  const probs = probabilities
-    .map(p => ({
-      value: Math.max(0, Math.min(1, p.homeWinPercentage || 0.5)),
-      period: p.period || 1,
-      clock: p.clock
-    }))
-    .filter(p => p.value >= 0 && p.value <= 1);
+  return scoreTrace(normalizeProbabilities(probabilities), game, sport);
+}
 
+/**
+ * Runs the GEI over a normalized probability trace.
+ * @param {Array} probs - Normalized trace ({ value, period, clock })
+ * @param {Object} game - Game object
+ * @param {string} sport - Sport type
+ * @param {Object} [options] - { decisionMethod: 'A' | 'C' | 'none' } overrides the
+ *   config; { scoreOnly: true } skips keyMoments, watchStart, summary and archetype
+ * @returns {Object|null} Detailed score, or null when the trace is too short
+ */
+function scoreTrace(probs, game, sport = 'NFL', options = {}) {
   if (probs.length < SCORING_CONFIG.thresholds.minDataPoints) {
     return null;
   }
 
-  const overtimeDetected = Boolean(game?.overtime);
+  // OT period count: the larger of the scoreboard status and the last
+  // probability period (multi-OT games often report only "OT" in one source)
+  const overtimePeriods = Math.max(
+    game?.overtimePeriods || (game?.overtime ? 1 : 0),
+    SCORING_CONFIG.bonuses.overtime.detectFromPeriods
+      ? countOvertimePeriods(Math.max(...probs.map(p => p.period)), sport)
+      : 0
+  );
+  const overtimeDetected = overtimePeriods > 0;
+
+  // Time axis for the time-weighted metrics (tension, drama, decision point).
+  // Event-based metrics (finish, lead changes, bonuses) keep the raw plays.
+  const timeline = getMetricTimeline(probs, sport);
 
   // METRIC 1: Tension (was there reason to keep watching?)
   // Measures sustained competitive state only (time spent in 30-70% band)
-  let tensionScore = calculateTension(probs);
+  let tensionScore = calculateTension(timeline);
 
   // METRIC 2: Momentum Drama (leverage-weighted swings + lead changes)
-  const baseDrama = calculateMomentumDrama(probs);
+  const baseDrama = calculateMomentumDrama(timeline);
   const leadChangeBoost = calculateLeadChangeBoost(probs);
   const comebackDramaBoost = calculateComebackDramaBoost(probs);
   let dramaScore = Math.min(10, baseDrama + leadChangeBoost + comebackDramaBoost);
 
   // METRIC 3: Finish Quality (did it come down to the wire?)
-  const finishScore = calculateFinishQuality(probs, game, sport, overtimeDetected);
+  const finishScore = calculateFinishQuality(probs, game, sport, overtimeDetected, overtimePeriods);
 
   const margin =
     typeof game?.homeScore === 'number' && typeof game?.awayScore === 'number'
@@ -163,11 +349,8 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
     const marginFloor = calculateMarginBasedTensionFloor(margin, sport, lateCloseness);
     tensionScore = Math.max(tensionScore, marginFloor);
   }
-  const blowoutThreshold = (sport === 'NBA' || sport === 'CBB')
-    ? SCORING_CONFIG.thresholds.blowoutMargin.nba
-    : sport === 'MLB'
-    ? SCORING_CONFIG.thresholds.blowoutMargin.mlb
-    : SCORING_CONFIG.thresholds.blowoutMargin.nflCfb;
+  const profile = getSportProfile(sport);
+  const blowoutThreshold = profile.blowoutMargin;
 
   if (lateCloseness < SCORING_CONFIG.thresholds.lateClosenessThreshold &&
       margin != null &&
@@ -177,10 +360,15 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
   }
 
   // Capture breakdown before weighting
+  // Stakes is context, not entertainment: it rides along in the breakdown for
+  // the radar chart but is not part of the weighted combination below
+  const stakes = calculateStakes(game, sport);
   const breakdown = {
     tension: tensionScore,
     drama: dramaScore,
-    finish: finishScore
+    finish: finishScore,
+    stakes: stakes.score,
+    periods: calculatePeriodBreakdown(probs, sport)
   };
 
   // Weighted combination
@@ -199,10 +387,11 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
   // Old system: raw 5 + 5.1 bonuses = 10.1 (mediocre game becomes great)
   // New system: raw 5 * 1.5 = 7.5 (mediocre game improves but stays mediocre-good)
   
-  const upsetBonus = calculateUpsetBonus(probs);           // 0-0.8 -> 0-0.08 (8%)
+  const upset = detectUpset(probs, game, sport);
+  const upsetBonus = calculateUpsetBonus(upset);           // 0-0.8 -> 0-0.08 (8%)
   const comebackBonus = calculateComebackBonus(probs);     // 0-2.0 -> 0-0.20 (20%)
   const volatilityBonus = calculateVolatilityBonus(probs); // 0-1.5 -> 0-0.15 (15%)
-  const overtimeBonus = calculateOvertimeBonus(overtimeDetected);      // 0-0.8 -> 0-0.08 (8%)
+  const overtimeBonus = calculateOvertimeBonus(overtimePeriods);        // 0.8 + 0.3/extra OT -> 8%+
   const closeGameBonus = calculateCloseGameBonus(game, sport, finishScore, tensionScore); // 0-1.0
   
   // Convert to percentage multipliers and sum
@@ -212,7 +401,7 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
     (upsetBonus / 10) +      // max 0.08
     (comebackBonus / 10) +   // max 0.20 
     (volatilityBonus / 10) + // max 0.15
-    (overtimeBonus / 10);    // max 0.08
+    (overtimeBonus / 10);    // 0.08 for one OT, +0.03 per extra OT
   
   // Cap total bonus at 50% boost to prevent runaway scores
   const cappedBonusRate = Math.min(0.5, totalBonusRate);
@@ -231,7 +420,7 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
 
   // DECISION POINT ADJUSTMENT
   // Penalize games that were decided early, even if they had excitement before that
-  const decisionAdjustment = applyDecisionAdjustment(rawScore, probs);
+  const decisionAdjustment = applyDecisionAdjustment(rawScore, timeline, options.decisionMethod);
   rawScore = decisionAdjustment.adjustedScore;
   const decisionPointInfo = decisionAdjustment.decisionPointInfo;
 
@@ -249,23 +438,68 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
   );
   finalScore = marginCorrectionInfo.correctedScore;
 
+  const comeback = calculateComebackMagnitude(probs);
+  const leadChanges = countLeadChanges(probs);
+
+  // Key moments, the watch-start point, summary and archetype never feed the
+  // score; compute them once for every return path, and not at all for
+  // score-only re-scores (uncertainty band)
+  let keyMoments, watchStart, summary, archetype;
+  if (!options.scoreOnly) {
+    keyMoments = extractKeyMoments(probs, sport);
+    watchStart = findWatchStart(probs, sport);
+
+    // The decision point is only computed by the adjustment when it is enabled
+    const decisionPoint = decisionPointInfo ?? findDecisionPoint(timeline);
+    const decisionProb = timeline[decisionPoint.decisionPointIndex] || timeline[timeline.length - 1];
+    summary = generateGameSummary({
+      tension: tensionScore,
+      leadChanges,
+      comeback,
+      decisionPoint: { ...decisionPoint, period: decisionProb.period, clock: decisionProb.clock },
+      overtimePeriods
+    }, game, sport);
+    archetype = classifyArchetype({
+      comeback,
+      volatility: volatilityBonus,
+      leadChanges,
+      tension: tensionScore,
+      drama: dramaScore,
+      decisionLateness: decisionPoint.decisionLateness,
+      wasEverCompetitive: decisionPoint.wasEverCompetitive,
+      wasAlwaysCompetitive: decisionPoint.wasAlwaysCompetitive
+    });
+  }
+
+  const details = {
+    breakdown,
+    rawScore,
+    rawScoreBeforeDecision,
+    finalScore,
+    tensionScore,
+    dramaScore,
+    finishScore,
+    overtimeDetected,
+    overtimePeriods,
+    upset,
+    stakes,
+    decisionPointInfo,
+    marginCorrectionInfo,
+    comeback,
+    leadChanges,
+    keyMoments,
+    watchStart,
+    summary,
+    archetype
+  };
+
   // Hard margin cap for extreme blowouts (data quality guardrail)
   if (margin != null) {
-    const blowoutCapThreshold = (sport === 'NBA' || sport === 'CBB') ? 22 : sport === 'MLB' ? 12 : 28;
-    if (margin > blowoutCapThreshold) {
+    if (margin > profile.blowoutCap) {
       return {
         score: Math.min(finalScore, 6.5),
-        breakdown,
-        rawScore,
-        rawScoreBeforeDecision,
-        finalScore,
-        tensionScore,
-        dramaScore,
-        finishScore,
-        overtimeFloorApplied: false,
-        overtimeDetected,
-        decisionPointInfo,
-        marginCorrectionInfo
+        ...details,
+        overtimeFloorApplied: false
       };
     }
   }
@@ -274,36 +508,33 @@ function calculateExcitementDetailed(probabilities, game, sport = 'NFL') {
   if (overtimeDetected && finalScore < 6.0) {
     return {
       score: 6.0,
-      breakdown,
-      rawScore,
-      rawScoreBeforeDecision,
-      finalScore,
-      tensionScore,
-      dramaScore,
-      finishScore,
-      overtimeFloorApplied: true,
-      overtimeDetected,
-      decisionPointInfo,
-      marginCorrectionInfo
+      ...details,
+      overtimeFloorApplied: true
     };
   }
 
   return {
     score: Math.max(1, Math.min(10, Math.round(finalScore * 10) / 10)),
-    breakdown,
-    rawScore,
-    rawScoreBeforeDecision,
-    finalScore,
-    tensionScore,
-    dramaScore,
-    finishScore,
-    overtimeFloorApplied: false,
-    overtimeDetected,
-    decisionPointInfo,
-    marginCorrectionInfo
+    ...details,
+    overtimeFloorApplied: false
   };
 }
 
+/**
+ * Returns the series the time-weighted metrics should iterate.
+ * In 'game-time' mode the plays are resampled onto a uniform elapsed-time grid
+ * so `i / probs.length` means game progress; in 'index' mode they pass through.
+ *
+ * @param {Array} probs - Array of probability objects with value, period, clock
+ * @param {string} sport - Sport type
+ * @returns {Array} Probability series for tension, drama and decision point
+ */
+function getMetricTimeline(probs, sport) {
+  const config = SCORING_CONFIG.thresholds.timeResampling;
+  if (config?.mode !== 'game-time') return probs;
+  return resampleByGameTime(probs, sport, config);
+}
+
 /**
  * METRIC 1: Tension
  * Measures sustained competitive state: time spent in 30-70% win-prob band.
@@ -513,9 +744,15 @@ function detectAndAdjustForTruncatedData(probs) {
  * @param {boolean} overtimeDetected - Whether the game went to overtime
  * @returns {number} Score from 0-10 based on finish quality
  */
-function calculateFinishQuality(probs, game, sport = 'NFL', overtimeDetected = false) {
+function calculateFinishQuality(probs, game, sport = 'NFL', overtimeDetected = false, overtimePeriods = 0) {
   if (probs.length < SCORING_CONFIG.thresholds.finalMomentPoints) return 0;
 
+  // Baseball has no clock: innings, walk-offs and save situations instead
+  const finishProfile = getSportProfile(sport).finish;
+  if (finishProfile.model === 'baseball') {
+    return calculateBaseballFinishQuality(probs, finishProfile, sport, overtimeDetected, overtimePeriods);
+  }
+
   // Detect truncated OT data
   const adjustedProbs = detectAndAdjustForTruncatedData(probs);
   const finalMoments = Math.min(SCORING_CONFIG.thresholds.finalMomentPoints, adjustedProbs.length);
@@ -609,19 +846,38 @@ function calculateFinishQuality(probs, game, sport = 'NFL', overtimeDetected = f
     }
   }
 
-  // If the late window never crosses 50% and stays outside 60/40 on average,
-  // reduce finish sensitivity to avoid over-crediting stable leads.
+  const finishPenalty = calculateStableLeadPenalty(finalProbs);
+  const baseTotalScore = (closenessScore + volatilityScore) * finishPenalty + walkoffScore;
+
+  return scaleFinishScore(baseTotalScore, adjustedProbs, overtimeDetected);
+}
+
+/**
+ * If the late window never crosses 50% and stays outside 60/40 on average,
+ * reduce finish sensitivity to avoid over-crediting stable leads.
+ * @param {Array} finalProbs - Final moments of the game
+ * @returns {number} 0.5 for a stable late lead, otherwise 1.0
+ */
+function calculateStableLeadPenalty(finalProbs) {
   const avgFinalWinProb =
     finalProbs.reduce((sum, p) => sum + p.value, 0) / finalProbs.length;
   const crossedHalfLate = finalProbs.some(
     (p, i) => i > 0 && (finalProbs[i - 1].value - 0.5) * (p.value - 0.5) < 0
   );
   const lateStableLead = !crossedHalfLate && (avgFinalWinProb >= 0.60 || avgFinalWinProb <= 0.40);
-  const finishPenalty = lateStableLead ? 0.5 : 1.0;
+  return lateStableLead ? 0.5 : 1.0;
+}
 
-  const baseTotalScore = (closenessScore + volatilityScore) * finishPenalty + walkoffScore;
+/**
+ * Applies the exceptional-finish multiplier and log-scales a raw finish total to 0-10.
+ * @param {number} baseTotalScore - Sum of finish components
+ * @param {Array} probs - Probability series (after truncation adjustment)
+ * @param {boolean} overtimeDetected - Whether the game went to OT / extra innings
+ * @returns {number} Finish score from 0-10
+ */
+function scaleFinishScore(baseTotalScore, probs, overtimeDetected) {
   const exceptionalMultiplier = calculateExceptionalFinishMultiplier(
-    adjustedProbs,
+    probs,
     overtimeDetected
   );
   const finishLogBase = SCORING_CONFIG.thresholds.finishLogBase ?? 12;
@@ -636,6 +892,114 @@ function calculateFinishQuality(probs, game, sport = 'NFL', overtimeDetected = f
   return Math.max(0, totalScore);
 }
 
+/**
+ * METRIC 3 (MLB): Finish Quality for baseball
+ *
+ * Innings replace the game clock: "late" is the 7th inning onward instead of
+ * the last quarter of the data points. The WP feed does not label half-innings,
+ * so the bottom half is inferred from baseball's ending rules: the bottom of
+ * the 9th (or later) is only played when the home team is not ahead, so a home
+ * win that ends on a big final-play swing in the 9th or later is a walk-off
+ * only if the home team was trailing or tied during that inning. A home team
+ * closing out a tense top of the 9th never gets there.
+ *
+ * Components (same scale as the clock-sport finish):
+ * - Late-inning closeness and volatility toward 0.5
+ * - Walk-off (bottom of the 9th or extra innings)
+ * - Save situation: narrow lead entering the 9th and the tying run threatened
+ *   (not for walk-offs, where the save was blown, with saveSituation.excludeWalkoffs)
+ * - Extra innings (each one is sudden death for the visitors)
+ *
+ * @param {Array} probs - Array of probability objects with value, period (inning)
+ * @param {Object} config - Baseball finish profile (sportProfiles[sport].finish)
+ * @param {string} sport - Sport type (for the regulation inning count)
+ * @param {boolean} overtimeDetected - Whether the game went to extra innings
+ * @param {number} extraInnings - Number of extra innings played
+ * @returns {number} Finish score from 0-10
+ */
+function calculateBaseballFinishQuality(probs, config, sport = 'MLB', overtimeDetected = false, extraInnings = 0) {
+  const adjustedProbs = detectAndAdjustForTruncatedData(probs);
+  const finalInning = getRegulationPeriods(sport);
+  const lastIndex = adjustedProbs.length - 1;
+  const lastValue = adjustedProbs[lastIndex].value;
+  const prevValue = adjustedProbs[lastIndex - 1].value;
+
+  let lateProbs = adjustedProbs.filter(p => p.period >= config.lateInningStart);
+  if (lateProbs.length < 2) {
+    lateProbs = adjustedProbs.slice(-Math.max(2, Math.floor(adjustedProbs.length * 0.25)));
+  }
+
+  // Component 1: Late-inning closeness (excluding the final play)
+  const preFinalWindow = lateProbs.slice(0, -1);
+  const minDistanceFrom50 = preFinalWindow.length > 0
+    ? Math.min(...preFinalWindow.map(p => Math.abs(p.value - 0.5)))
+    : Math.abs(lastValue - 0.5);
+  const closenessScore = 1.0 + Math.pow(Math.max(0, 1 - minDistanceFrom50 * 2), 0.6) * 4.0;
+
+  // Component 2: Late-inning volatility (movement toward or across 0.5)
+  let lateMovement = 0;
+  for (let i = 1; i < lateProbs.length; i++) {
+    const prev = lateProbs[i - 1].value;
+    const curr = lateProbs[i].value;
+    const crossedHalf = (prev - 0.5) * (curr - 0.5) < 0;
+    const movedToward50 = Math.abs(curr - 0.5) < Math.abs(prev - 0.5);
+    if (crossedHalf || movedToward50) {
+      lateMovement += Math.abs(curr - prev) * prev * (1 - prev) * 4;
+    }
+  }
+  const volatilityScore = Math.min(4, lateMovement * 4.5);
+
+  // Component 3: Walk-off (home win on the final play of the 9th or later,
+  // after trailing or being tied in that inning)
+  const lastInning = adjustedProbs[lastIndex].period || 1;
+  const lastInningStart = adjustedProbs.findIndex(p => (p.period || 1) >= lastInning);
+  const homeNotLeading = Math.min(
+    ...adjustedProbs.slice(Math.max(0, lastInningStart - 1), lastIndex).map(p => p.value)
+  ) <= config.walkoff.maxNotLeadingWP;
+  const isWalkoff =
+    lastValue > 0.5 &&
+    lastInning >= finalInning &&
+    homeNotLeading &&
+    prevValue <= config.walkoff.maxPreWP &&
+    lastValue - prevValue >= config.walkoff.minSwing;
+  const walkoffScore = isWalkoff ? config.walkoff.bonus : 0;
+
+  // Component 4: Save situation (narrow lead entering the 9th, tying run
+  // threatened); a walk-off means the save was blown
+  let saveScore = 0;
+  const ninthStart = adjustedProbs.findIndex(p => p.period >= finalInning);
+  const saveBlown = isWalkoff && config.saveSituation.excludeWalkoffs;
+  if (!saveBlown && ninthStart > 0) {
+    const entering = adjustedProbs[ninthStart - 1].value;
+    const leaderIsHome = entering >= 0.5;
+    const leadWP = leaderIsHome ? entering : 1 - entering;
+    const save = config.saveSituation;
+    if (leadWP >= save.minLeadWP && leadWP <= save.maxLeadWP) {
+      const minLeadWP = Math.min(
+        ...adjustedProbs.slice(ninthStart).map(p => (leaderIsHome ? p.value : 1 - p.value))
+      );
+      if (minLeadWP <= save.tyingRunWP) {
+        const pressure = Math.min(1, (leadWP - minLeadWP) / (leadWP - 0.5));
+        saveScore = save.maxBonus * pressure;
+      }
+    }
+  }
+
+  // Component 5: Extra innings
+  const extraInningScore = Math.min(
+    config.maxExtraInningBonus,
+    extraInnings * config.extraInningBonus
+  );
+
+  const finalMoments = Math.min(SCORING_CONFIG.thresholds.finalMomentPoints, adjustedProbs.length);
+  const finishPenalty = calculateStableLeadPenalty(adjustedProbs.slice(-finalMoments));
+  const baseTotalScore =
+    (closenessScore + volatilityScore) * finishPenalty +
+    walkoffScore + saveScore + extraInningScore;
+
+  return scaleFinishScore(baseTotalScore, adjustedProbs, overtimeDetected);
+}
+
 /**
  * Calculates lead change boost for drama score
  * Games with multiple lead changes are more dramatic
@@ -650,15 +1014,7 @@ function calculateFinishQuality(probs, game, sport = 'NFL', overtimeDetected = f
 function calculateLeadChangeBoost(probs) {
   if (probs.length < 10) return 0;
 
-  let leadChanges = 0;
-  for (let i = 1; i < probs.length; i++) {
-    const prev = probs[i - 1].value;
-    const curr = probs[i].value;
-    // Lead change = crossing 50%
-    if ((prev - 0.5) * (curr - 0.5) < 0) {
-      leadChanges++;
-    }
-  }
+  const leadChanges = countLeadChanges(probs);
 
   const center = SCORING_CONFIG.thresholds.leadChangeSigmoid.center;
   const slope = SCORING_CONFIG.thresholds.leadChangeSigmoid.slope;
@@ -670,22 +1026,32 @@ function calculateLeadChangeBoost(probs) {
   return Math.min(1.0, sigmoid);
 }
 
+/**
+ * Counts lead changes (crossings of 50% win probability)
+ * @param {Array} probs - Array of probability objects with value property
+ * @returns {number} Number of lead changes
+ */
+function countLeadChanges(probs) {
+  let leadChanges = 0;
+  for (let i = 1; i < probs.length; i++) {
+    if ((probs[i - 1].value - 0.5) * (probs[i].value - 0.5) < 0) {
+      leadChanges++;
+    }
+  }
+  return leadChanges;
+}
+
 /**
  * Calculates overtime bonus
- * Games that go to OT are inherently dramatic
- * @param {boolean} overtimeDetected - Whether OT was detected
- * @returns {number} Bonus from 0-1.4+ based on OT
+ * Games that go to OT are inherently dramatic; each extra OT adds more
+ * @param {number} overtimePeriods - Number of OT periods (extra innings for MLB)
+ * @returns {number} Bonus from 0 (regulation) to 0.8 + 0.3 per additional OT
  */
-function calculateOvertimeBonus(overtimeDetected) {
-  if (!overtimeDetected) return 0;
+function calculateOvertimeBonus(overtimePeriods) {
+  if (!overtimePeriods || overtimePeriods < 1) return 0;
 
   const config = SCORING_CONFIG.bonuses.overtime;
-  // Base OT bonus
-  let bonus = config.base;
-
-  // For now, we only know if it went to OT, not how many periods
-  // Future: could detect multiple OT from period data
-  return bonus;
+  return config.base + config.perAdditionalOT * (overtimePeriods - 1);
 }
 
 /**
@@ -707,8 +1073,8 @@ function calculateCloseGameBonus(game, sport, finishScore = 0, tensionScore = 0)
   const margin = Math.abs(game.homeScore - game.awayScore);
   const config = SCORING_CONFIG.bonuses.closeGame;
 
-  // Adjust thresholds for basketball (higher scoring)
-  const factor = (sport === 'NBA' || sport === 'CBB') ? 2 : 1; // Basketball uses factor 2 (higher scoring)
+  // Adjust thresholds for higher-scoring sports (basketball)
+  const factor = getSportProfile(sport).marginScale;
 
   let baseBonus = 0;
   if (margin <= 3 * factor) {
@@ -760,7 +1126,7 @@ function calculateMarginBasedTensionFloor(margin, sport, lateCloseness = null) {
   const config = SCORING_CONFIG.thresholds.tensionFloor;
   if (!config) return 0;
 
-  const factor = (sport === 'NBA' || sport === 'CBB') ? config.nbaMultiplier : (sport === 'MLB' ? (config.mlbMultiplier || 1) : 1);
+  const factor = getSportProfile(sport).marginScale;
   let floor = 0;
 
   if (margin <= config.oneScore.margin * factor) {
@@ -885,39 +1251,13 @@ function normalizeScore(rawScore) {
 /**
  * Calculates upset bonus based on pre-game expectations vs outcome
  * Rewards games where underdogs win, scaling with degree of upset
- * @param {Array} probs - Array of probability objects with value property
+ * (pregame WP and, for seed-driven sports, the seed gap; see api/upset.js)
+ * @param {Object} upset - Upset signal from detectUpset
  * @returns {number} Bonus from 0-0.8 based on upset magnitude
  */
-function calculateUpsetBonus(probs) {
-  if (probs.length < 10) return 0;
-
-  // Get early game state (first 10 points or 10% of game, whichever is smaller)
-  const earlyWindowSize = Math.min(10, Math.floor(probs.length * 0.1));
-  const earlyWindow = probs.slice(0, Math.max(earlyWindowSize, 5));
-  const earlyHomeWP = earlyWindow.reduce((sum, p) => sum + p.value, 0) / earlyWindow.length;
-
-  // Determine pre-game favorite (team with >50% early WP)
-  const homeFavored = earlyHomeWP > 0.5;
-  const favoriteEarlyWP = homeFavored ? earlyHomeWP : (1 - earlyHomeWP);
-
-  // Need a clear favorite (>55%) for upset bonus to apply
-  if (favoriteEarlyWP < SCORING_CONFIG.bonuses.upset.threshold) return 0;
-
-  // Get final outcome
-  const finalHomeWP = probs[probs.length - 1].value;
-  const homeWon = finalHomeWP > 0.5;
-
-  // Check if underdog won
-  const underdogWon = (homeFavored && !homeWon) || (!homeFavored && homeWon);
-
-  if (!underdogWon) return 0;
-
-  // Scale bonus by degree of upset (0.55 favorite losing = small bonus, 0.75+ favorite losing = max bonus)
-  // upsetMagnitude: 0 at 0.55, 1 at 0.75+
-  const upsetMagnitude = Math.min(1, Math.max(0, (favoriteEarlyWP - 0.55) / 0.2));
-  const bonus = upsetMagnitude * SCORING_CONFIG.bonuses.upset.max;
-
-  return bonus;
+function calculateUpsetBonus(upset) {
+  if (!upset?.isUpset) return 0;
+  return upset.magnitude * SCORING_CONFIG.bonuses.upset.max;
 }
 
 /**
@@ -1021,6 +1361,259 @@ function calculateVolatilityBonus(probs) {
   return Math.min(maxBonus, bonus);
 }
 
+/**
+ * KEY MOMENTS
+ *
+ * Ranks the individual swings a viewer would want to jump to in a replay.
+ * Each moment is tagged with a kind:
+ * - 'walk-off': the last lead change (or competitive-range swing) inside the
+ *   final-moments window, after which the result never flipped again
+ * - 'comeback-start': the first swing away from the eventual winner's deepest deficit
+ * - 'lead-change': any other swing that crosses 50%
+ * - 'swing': any other swing of at least `keyMoments.minSwing`
+ *
+ * Importance uses the same leverage weighting as momentum drama, multiplied by
+ * the configured kind weight. For comeback starts, `swing` reports the deficit
+ * that was eventually overcome rather than the single step. Moments carry no team names or direction, so the
+ * list is spoiler-safe.
+ *
+ * @param {Array} probs - Array of probability objects with value, period, clock
+ * @param {string} sport - Sport type (used for period labels)
+ * @returns {Array} Up to `keyMoments.maxMoments` moments, most important first:
+ *   { rank, kind, period, periodLabel, clock, swing, gameProgress }
+ */
+export function extractKeyMoments(probs, sport = 'NFL') {
+  const config = SCORING_CONFIG.thresholds.keyMoments;
+  if (!config || !probs || probs.length < 2) return [];
+
+  const leverageFloor = SCORING_CONFIG.thresholds.leverageFloor;
+  const competitiveRange = SCORING_CONFIG.thresholds.finishWalkoff.competitiveRange;
+  const lastIndex = probs.length - 1;
+  const finalWindowStart = Math.max(1, probs.length - SCORING_CONFIG.thresholds.finalMomentPoints);
+
+  // Walk-off: the decisive swing in the final window that the result never reversed
+  let walkoffIndex = -1;
+  for (let i = lastIndex; i >= finalWindowStart; i--) {
+    const prev = probs[i - 1].value;
+    const curr = probs[i].value;
+    const swing = Math.abs(curr - prev);
+    const crossedHalf = (prev - 0.5) * (curr - 0.5) < 0;
+    const startedCompetitive = prev >= competitiveRange.low && prev <= competitiveRange.high;
+
+    if (swing >= SCORING_CONFIG.thresholds.walkoffSwingThreshold && (crossedHalf || startedCompetitive)) {
+      walkoffIndex = i;
+      break;
+    }
+    // A later lead change means an earlier swing was not the walk-off
+    if (crossedHalf) break;
+  }
+
+  // Comeback start: first point after the eventual winner's deepest deficit
+  const { maxDeficit, maxDeficitIndex } = calculateComebackMagnitude(probs);
+  const comebackIndex = maxDeficit >= SCORING_CONFIG.thresholds.comeback.minDeficit &&
+    maxDeficitIndex < lastIndex
+    ? maxDeficitIndex + 1
+    : -1;
+
+  const candidates = [];
+  for (let i = 1; i < probs.length; i++) {
+    const prev = probs[i - 1].value;
+    const curr = probs[i].value;
+    const swing = Math.abs(curr - prev);
+    const crossedHalf = (prev - 0.5) * (curr - 0.5) < 0;
+
+    let kind;
+    if (i === walkoffIndex) {
+      kind = 'walk-off';
+    } else if (i === comebackIndex) {
+      kind = 'comeback-start';
+    } else if (crossedHalf) {
+      kind = 'lead-change';
+    } else if (swing >= config.minSwing) {
+      kind = 'swing';
+    } else {
+      continue;
+    }
+
+    // Comeback starts are often small single swings; rank them by the deficit overcome
+    const effectiveSwing = kind === 'comeback-start' ? Math.max(swing, maxDeficit) : swing;
+    const leverage = kind === 'comeback-start'
+      ? 1
+      : Math.max(leverageFloor, prev * (1 - prev)) * 4;
+    const importance = effectiveSwing * leverage * (config.kindWeights[kind] ?? 1);
+
+    candidates.push({ index: i, kind, swing: effectiveSwing, importance });
+  }
+
+  return candidates
+    .sort((a, b) => b.importance - a.importance)
+    .slice(0, config.maxMoments)
+    .map((moment, rank) => {
+      const point = probs[moment.index];
+      return {
+        rank: rank + 1,
+        kind: moment.kind,
+        period: point.period,
+        periodLabel: formatPeriodLabel(point.period, sport),
+        clock: formatPeriodClock(point.period, point.clock, sport),
+        swing: Math.round(moment.swing * 1000) / 1000,
+        gameProgress: Math.round((moment.index / lastIndex) * 1000) / 1000
+      };
+    });
+}
+
+/**
+ * PER-PERIOD BREAKDOWN
+ *
+ * Scores each period (quarter, half, inning, OT) on its own 0-10 scale so the
+ * UI can show where the excitement happened ("the 4th quarter was the whole
+ * game") without revealing the result.
+ *
+ * Each period blends the share of points inside the competitive band (tension)
+ * with log-scaled leverage-weighted swings (drama), weighted like the
+ * whole-game metrics. A swing belongs to the period of the point it lands on.
+ * Periods are made monotonic (running max) so stray post-game points without a
+ * period never land back in the first period.
+ *
+ * @param {Array} probs - Array of probability objects with value, period
+ * @param {string} sport - Sport type (used for labels)
+ * @returns {Array} [{ period, label, score }] in game order
+ */
+export function calculatePeriodBreakdown(probs, sport = 'NFL') {
+  const config = SCORING_CONFIG.thresholds.periodBreakdown;
+  if (!config || !probs || probs.length < 2) return [];
+
+  const bandLow = SCORING_CONFIG.thresholds.competitiveBand.low;
+  const bandHigh = SCORING_CONFIG.thresholds.competitiveBand.high;
+  const leverageFloor = SCORING_CONFIG.thresholds.leverageFloor;
+
+  const periods = new Map();
+  let currentPeriod = probs[0].period || 1;
+
+  for (let i = 0; i < probs.length; i++) {
+    currentPeriod = Math.max(currentPeriod, probs[i].period || 1);
+    if (!periods.has(currentPeriod)) {
+      periods.set(currentPeriod, { points: 0, inBand: 0, weightedSwing: 0 });
+    }
+    const stats = periods.get(currentPeriod);
+    const value = probs[i].value;
+
+    stats.points++;
+    if (value >= bandLow && value <= bandHigh) stats.inBand++;
+    if (i > 0) {
+      const prev = probs[i - 1].value;
+      const leverage = Math.max(leverageFloor, prev * (1 - prev)) * 4;
+      stats.weightedSwing += Math.abs(value - prev) * leverage;
+    }
+  }
+
+  const weights = SCORING_CONFIG.weights;
+  const weightTotal = weights.tension + weights.drama;
+
+  return [...periods.entries()]
+    .filter(([, stats]) => stats.points >= config.minPoints)
+    .map(([period, stats]) => {
+      const tension = stats.inBand / stats.points;
+      const drama = Math.min(
+        1,
+        Math.log(1 + stats.weightedSwing) / Math.log(1 + config.dramaLogBase)
+      );
+      const score = ((tension * weights.tension + drama * weights.drama) / weightTotal) * 10;
+      return {
+        period,
+        label: formatPeriodLabel(period, sport),
+        score: Math.round(score * 10) / 10
+      };
+    });
+}
+
+/**
+ * WATCH START
+ *
+ * Recommends where to start a condensed replay without revealing the result.
+ * Where `findDecisionPoint` asks when a game was settled, this asks when it
+ * became worth watching.
+ *
+ * Builds a cumulative excitement curve from per-point tension (time in the
+ * competitive band) and drama (leverage-weighted swings), blended with the
+ * configured metric weights. The entry point is the earliest point after which
+ * `watchStart.retainedShare` of the curve is still ahead, backed up by
+ * `watchStart.leadInPoints` for context. Clocks are rounded up to the full
+ * minute so the viewer never starts after the action begins.
+ *
+ * @param {Array} probs - Array of probability objects with value, period, clock
+ * @param {string} sport - Sport type (used for labels)
+ * @returns {Object} { fromStart, period, periodLabel, clock, gameProgress, label }
+ */
+export function findWatchStart(probs, sport = 'NFL') {
+  const config = SCORING_CONFIG.thresholds.watchStart;
+  const fromStart = {
+    fromStart: true,
+    period: probs?.[0]?.period ?? 1,
+    periodLabel: formatPeriodLabel(probs?.[0]?.period ?? 1, sport),
+    clock: null,
+    gameProgress: 0,
+    label: 'watch from the start'
+  };
+
+  if (!config || !probs || probs.length < SCORING_CONFIG.thresholds.minDataPoints) return fromStart;
+
+  const bandLow = SCORING_CONFIG.thresholds.competitiveBand.low;
+  const bandHigh = SCORING_CONFIG.thresholds.competitiveBand.high;
+  const leverageFloor = SCORING_CONFIG.thresholds.leverageFloor;
+
+  const tensionCurve = [0];
+  const dramaCurve = [0];
+  for (let i = 1; i < probs.length; i++) {
+    const prev = probs[i - 1].value;
+    const curr = probs[i].value;
+    const inBand = curr >= bandLow && curr <= bandHigh ? 1 : 0;
+    const leverage = Math.max(leverageFloor, prev * (1 - prev)) * 4;
+    tensionCurve.push(tensionCurve[i - 1] + inBand);
+    dramaCurve.push(dramaCurve[i - 1] + Math.abs(curr - prev) * leverage);
+  }
+
+  const totalTension = tensionCurve[tensionCurve.length - 1];
+  const totalDrama = dramaCurve[dramaCurve.length - 1];
+  if (totalTension === 0 && totalDrama === 0) return fromStart;
+
+  const weights = SCORING_CONFIG.weights;
+  const tensionShare = totalTension > 0 ? weights.tension : 0;
+  const dramaShare = totalDrama > 0 ? weights.drama : 0;
+  const shareTotal = tensionShare + dramaShare;
+
+  // Earliest index where the skipped portion exceeds (1 - retainedShare)
+  const skippable = 1 - config.retainedShare;
+  let startIndex = 0;
+  for (let i = 0; i < probs.length; i++) {
+    const tension = totalTension > 0 ? tensionCurve[i] / totalTension : 0;
+    const drama = totalDrama > 0 ? dramaCurve[i] / totalDrama : 0;
+    const cumulative = (tension * tensionShare + drama * dramaShare) / shareTotal;
+    if (cumulative >= skippable) {
+      startIndex = i;
+      break;
+    }
+  }
+
+  startIndex = Math.max(0, startIndex - config.leadInPoints);
+  const gameProgress = startIndex / (probs.length - 1);
+  if (gameProgress < config.fromStartProgress) return fromStart;
+
+  const point = probs[startIndex];
+  const clockSeconds = parseClockSeconds(point.clock);
+  const roundedClock = clockSeconds == null ? null : Math.ceil(clockSeconds / 60) * 60;
+  const gameTime = formatGameTime(point.period, roundedClock, sport);
+
+  return {
+    fromStart: false,
+    period: point.period,
+    periodLabel: formatPeriodLabel(point.period, sport),
+    clock: roundedClock == null ? null : formatPeriodClock(point.period, roundedClock, sport),
+    gameProgress: Math.round(gameProgress * 1000) / 1000,
+    label: `start at ${gameTime}`
+  };
+}
+
 /**
  * DECISION POINT DETECTION
  *
@@ -1191,7 +1784,8 @@ function applyMarginCorrection(normalizedScore, margin, sport, tensionScore, dra
 
   if (margin == null || !config) return noCorrection;
 
-  const regression = config.regression?.[sport];
+  const profile = getSportProfile(sport);
+  const regression = profile.marginRegression;
   if (!regression) return noCorrection;
 
   // Margin-predicted score from regression
@@ -1202,7 +1796,7 @@ function applyMarginCorrection(normalizedScore, margin, sport, tensionScore, dra
   if (residual >= 0) return { ...noCorrection, marginPredicted, residual };
 
   // Sport-adjusted maximum margin for correction eligibility
-  const f = (sport === 'NBA' || sport === 'CBB') ? 2 : 1; // Basketball uses f=2 (higher scoring)
+  const f = profile.marginScale; // e.g. 2 for NBA (higher scoring)
   const maxCloseMargin = config.maxCloseMargin * f;
   if (margin > maxCloseMargin) return { ...noCorrection, marginPredicted, residual };
 
@@ -1213,8 +1807,8 @@ function applyMarginCorrection(normalizedScore, margin, sport, tensionScore, dra
   // Expected values derived from well-rated close games in each sport:
   //   NFL close (≤7pt): T=6.8, D=8.0 | CFB close (≤7pt): T=6.0, D=8.1 | NBA close (≤14pt): T=5.6, D=9.3
   // Scale expected values down proportionally with margin (further margin → lower expectation)
-  const expectedTension = Math.max(3, 6.5 - margin / (2 * f));
-  const expectedDrama = Math.max(4, 8.5 - margin / (2 * f));
+  const expectedTension = expectedComponent(config.expectedTension, margin / f);
+  const expectedDrama = expectedComponent(config.expectedDrama, margin / f);
   const tensionDeficit = Math.max(0, expectedTension - tensionScore) / config.maxTensionDeficit;
   const dramaDeficit = Math.max(0, expectedDrama - dramaScore) / config.maxDramaDeficit;
   const combinedDeficit = Math.min(1, (tensionDeficit + dramaDeficit));
@@ -1236,6 +1830,11 @@ function applyMarginCorrection(normalizedScore, margin, sport, tensionScore, dra
   };
 }
 
+// Expected tension/drama for a sport-scaled margin: max(min, base - perMargin * margin)
+function expectedComponent({ base, perMargin, min }, scaledMargin) {
+  return Math.max(min, base - perMargin * scaledMargin);
+}
+
 export function applyDecisionAdjustmentA(rawScore, probs) {
   const config = SCORING_CONFIG.thresholds.decisionPoint;
   const exponent = config?.multiplierExponent ?? 0.5;
@@ -1298,13 +1897,14 @@ export function applyDecisionAdjustmentC(rawScore, probs) {
  *
  * @param {number} rawScore - The raw weighted score before decision adjustment
  * @param {Array} probs - Array of probability objects with value property
+ * @param {string} [method] - 'A' | 'C' | 'none'; defaults to decisionPoint.adjustmentMethod
  * @returns {Object} { adjustedScore, decisionPointInfo } or { adjustedScore: rawScore, decisionPointInfo: null } if disabled
  */
-export function applyDecisionAdjustment(rawScore, probs) {
+export function applyDecisionAdjustment(rawScore, probs, method) {
   const config = SCORING_CONFIG.thresholds.decisionPoint;
-  const method = config?.adjustmentMethod ?? 'none';
+  const selected = method ?? config?.adjustmentMethod ?? 'none';
 
-  switch (method) {
+  switch (selected) {
     case 'A':
       return applyDecisionAdjustmentA(rawScore, probs);
     case 'C':
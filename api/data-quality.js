@@ -7,6 +7,12 @@
  * Task 3: Add ESPN data quality detection
  */
 
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+import { formatPeriodLabel } from './game-clock.js';
+
+// Display helpers live in shared/ so the frontend can use them too
+export { formatDataQualityWarning, getDataQualityIcon } from '../shared/data-quality-display.js';
+
 /**
  * Counts lead changes in probability data
  * @param {Array} probs - Array of probability objects with homeWinPercentage or value
@@ -26,15 +32,48 @@ function countLeadChanges(probs) {
   return leadChanges;
 }
 
+/**
+ * Describes trace repairs by type ("spike: 2, duplicate: 1")
+ * @param {Array} repairs - Records from repairProbabilityTrace
+ * @returns {string} Comma-separated counts
+ */
+function describeRepairs(repairs) {
+  const counts = new Map();
+  for (const repair of repairs) {
+    counts.set(repair.type, (counts.get(repair.type) || 0) + 1);
+  }
+  return [...counts].map(([type, count]) => `${type}: ${count}`).join(', ');
+}
+
+const SCORE_KIND_LABELS = { 'lead-change': 'lead change', tie: 'tie', 'late-score': 'late score' };
+
+/**
+ * Describes scoring-play mismatches by kind ("2 lead changes and 1 late score")
+ * @param {Array} mismatches - From crossCheckScoringPlays
+ * @returns {string} Summary
+ */
+function describeMismatches(mismatches) {
+  const counts = new Map();
+  for (const mismatch of mismatches) {
+    counts.set(mismatch.type, (counts.get(mismatch.type) || 0) + 1);
+  }
+  const parts = [...counts].map(([type, count]) => `${count} ${SCORE_KIND_LABELS[type]}${count === 1 ? '' : 's'}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+}
+
 /**
  * Detects potential data quality issues in ESPN win probability data
  *
  * @param {Array} probs - Array of probability objects with homeWinPercentage
  * @param {Object} game - Game object with homeScore, awayScore
  * @param {string} sport - Sport type (NFL, CFB, NBA)
+ * @param {Object} [context]
+ * @param {Array} [context.repairs=[]] - Records from repairProbabilityTrace (api/trace-repair.js)
+ * @param {Object} [context.scoringCheck] - Result of crossCheckScoringPlays
+ *   (api/scoring-check.js); when present it replaces the margin/lead-change guess
  * @returns {Object} { hasIssues, issues[], severity }
  */
-export function detectDataQualityIssues(probs, game, sport = 'NFL') {
+export function detectDataQualityIssues(probs, game, sport = 'NFL', { repairs = [], scoringCheck = null } = {}) {
   const issues = [];
 
   if (!probs || probs.length < 10) {
@@ -65,12 +104,13 @@ export function detectDataQualityIssues(probs, game, sport = 'NFL') {
   // Issue 2: Missing drama - close final score but 0 lead changes
   // This indicates ESPN may have missed key probability swings
   // Example: Bills at Chiefs (401326594) - 0 lead changes despite famous 13-second finish
-  if (game && typeof game.homeScore === 'number' && typeof game.awayScore === 'number') {
+  // Only a guess: skipped when the scoring plays were checked (Issue 6)
+  if (!scoringCheck && game && typeof game.homeScore === 'number' && typeof game.awayScore === 'number') {
     const margin = Math.abs(game.homeScore - game.awayScore);
     const leadChanges = countLeadChanges(probs);
 
     // Sport-specific thresholds for "close game"
-    const closeThreshold = (sport === 'NBA' || sport === 'CBB') ? 10 : sport === 'MLB' ? 4 : 7;
+    const closeThreshold = getSportProfile(sport).dataQuality.closeMargin;
 
     if (margin <= closeThreshold && leadChanges === 0) {
       issues.push({
@@ -81,7 +121,7 @@ export function detectDataQualityIssues(probs, game, sport = 'NFL') {
     }
 
     // Also flag if a one-possession game has very few lead changes
-    const onePossessionThreshold = (sport === 'NBA' || sport === 'CBB') ? 3 : sport === 'MLB' ? 2 : 3;
+    const onePossessionThreshold = getSportProfile(sport).dataQuality.onePossessionMargin;
     if (margin <= onePossessionThreshold && leadChanges <= 1) {
       // Only flag if not already flagged for 0 lead changes
       if (leadChanges === 1) {
@@ -119,7 +159,7 @@ export function detectDataQualityIssues(probs, game, sport = 'NFL') {
 
   // Issue 4: Sparse data points
   // Full games typically have 400-600 data points; sparse data may miss drama
-  const minExpectedPoints = (sport === 'NBA' || sport === 'CBB') ? 200 : sport === 'MLB' ? 100 : 150;
+  const minExpectedPoints = getSportProfile(sport).dataQuality.minExpectedPoints;
   if (probs.length < minExpectedPoints) {
     issues.push({
       type: 'sparse-data',
@@ -128,6 +168,30 @@ export function detectDataQualityIssues(probs, game, sport = 'NFL') {
     });
   }
 
+  // Issue 5: Repaired trace
+  // Glitches were fixed before scoring; many fixes mean the feed was unreliable
+  if (repairs?.length > 0) {
+    const mediumAt = ALGORITHM_CONFIG.traceRepair.repairsForMediumSeverity;
+    issues.push({
+      type: 'repaired-trace',
+      severity: repairs.length >= mediumAt ? 'medium' : 'low',
+      message: `${repairs.length} probability data repair${repairs.length === 1 ? '' : 's'} (${describeRepairs(repairs)})`
+    });
+  }
+
+  // Issue 6: Scoring plays without a matching WP swing
+  // Lead changes, ties or late scores the WP trace never reacted to
+  if (scoringCheck?.mismatches.length > 0) {
+    const { mismatches } = scoringCheck;
+    const periods = scoringCheck.periods.map(period => formatPeriodLabel(period, sport));
+    issues.push({
+      type: 'scoring-play-mismatch',
+      severity: mismatches.length >= ALGORITHM_CONFIG.scoringCheck.highSeverityMismatches ? 'high' : 'medium',
+      periods,
+      message: `Scoring plays show ${describeMismatches(mismatches)} with no matching win probability swing (${periods.join(', ')}) - excitement may be underrated`
+    });
+  }
+
   // Determine overall severity
   let severity = 'none';
   if (issues.some(i => i.severity === 'high')) {
@@ -144,29 +208,3 @@ export function detectDataQualityIssues(probs, game, sport = 'NFL') {
     severity
   };
 }
-
-/**
- * Format data quality issues for display
- * @param {Object} dataQuality - Result from detectDataQualityIssues
- * @returns {string} Human-readable summary
- */
-export function formatDataQualityWarning(dataQuality) {
-  if (!dataQuality?.hasIssues) return '';
-
-  const messages = dataQuality.issues.map(i => i.message);
-  return messages.join('; ');
-}
-
-/**
- * Get warning icon based on severity
- * @param {string} severity - 'high', 'medium', 'low', or 'none'
- * @returns {string} Emoji icon
- */
-export function getDataQualityIcon(severity) {
-  switch (severity) {
-    case 'high': return '⚠️';
-    case 'medium': return '⚡';
-    case 'low': return 'ℹ️';
-    default: return '';
-  }
-}
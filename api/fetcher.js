@@ -1,6 +1,8 @@
 // Simplified ESPN Data Fetcher
 
 import { NFL_PLAYOFF_ROUNDS, isNFLPlayoffRound } from '../shared/algorithm-config.js';
+import { countOvertimePeriods, parseOvertimePeriods } from './game-clock.js';
+import { httpFetch } from '../shared/http-transport.js';
 
 export async function fetchGames(sport, season, week, seasonType = '2', date = null) {
   try {
@@ -62,7 +64,7 @@ async function fetchFromSiteAPI(league, week, seasonType, season) {
     url = `${baseUrl}?limit=100&week=${week}&seasontype=${seasonType}`;
   }
 
-  const response = await fetch(url);
+  const response = await httpFetch(url);
   if (!response.ok) throw new Error(`Site API error: ${response.status}`);
 
   const data = await response.json();
@@ -75,7 +77,7 @@ async function fetchFromSiteAPI(league, week, seasonType, season) {
 async function fetchFromCoreAPI(league, season, week, seasonType) {
   const weekUrl = `https://sports.core.api.espn.com/v2/sports/football/leagues/${league}/seasons/${season}/types/${seasonType}/weeks/${week}/events?limit=100`;
 
-  const weekResponse = await fetch(weekUrl);
+  const weekResponse = await httpFetch(weekUrl);
   if (!weekResponse.ok) throw new Error(`Core API error: ${weekResponse.status}`);
 
   const weekData = await weekResponse.json();
@@ -84,7 +86,7 @@ async function fetchFromCoreAPI(league, season, week, seasonType) {
   const games = await Promise.all(
     eventRefs.map(async (ref) => {
       try {
-        const response = await fetch(ref);
+        const response = await httpFetch(ref);
         if (!response.ok) return null;
         const event = await response.json();
         return parseEvent(event);
@@ -112,7 +114,7 @@ async function fetchNBAGames(date) {
 
   const url = `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=${targetDate}`;
 
-  const response = await fetch(url);
+  const response = await httpFetch(url);
   if (!response.ok) throw new Error(`NBA API error: ${response.status}`);
 
   const data = await response.json();
@@ -130,7 +132,7 @@ export async function fetchMarchMadnessGames(season) {
 
   const url = `https://site.api.espn.com/apis/site/v2/sports/basketball/mens-college-basketball/scoreboard?dates=${startDate}-${endDate}&seasontype=3&groups=100&limit=200`;
 
-  const response = await fetch(url);
+  const response = await httpFetch(url);
   if (!response.ok) throw new Error(`March Madness API error: ${response.status}`);
 
   const data = await response.json();
@@ -151,7 +153,7 @@ async function fetchCBBGames(date) {
 
   const url = `https://site.api.espn.com/apis/site/v2/sports/basketball/mens-college-basketball/scoreboard?dates=${targetDate}&groups=100&limit=100`;
 
-  const response = await fetch(url);
+  const response = await httpFetch(url);
   if (!response.ok) throw new Error(`CBB API error: ${response.status}`);
 
   const data = await response.json();
@@ -172,7 +174,7 @@ async function fetchMLBGames(date) {
 
   const url = `https://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard?dates=${targetDate}`;
 
-  const response = await fetch(url);
+  const response = await httpFetch(url);
   if (!response.ok) throw new Error(`MLB API error: ${response.status}`);
 
   const data = await response.json();
@@ -190,7 +192,8 @@ function parseEvent(event, sport = 'NFL', nflPlayoffRound = null) {
 
   const completed = competition.status?.type?.completed || false;
 
-  const overtime = detectOvertimeFromStatus(competition.status, sport);
+  const overtimePeriods = detectOvertimePeriodsFromStatus(competition.status, sport);
+  const overtime = overtimePeriods > 0;
 
   // Parse bowl name and playoff round for postseason
   let bowlName = null;
@@ -282,6 +285,7 @@ function parseEvent(event, sport = 'NFL', nflPlayoffRound = null) {
     awayScore: parseInt(awayTeam?.score || 0),
     completed: completed,
     overtime: overtime,
+    overtimePeriods: overtimePeriods,
     date: event.date || competition.date,
     bowlName: bowlName,
     playoffRound: playoffRound,
@@ -292,12 +296,11 @@ function parseEvent(event, sport = 'NFL', nflPlayoffRound = null) {
   };
 }
 
-function detectOvertimeFromStatus(status, sport) {
-  const regulationPeriods = sport === 'MLB' ? 9 : 4;
-  if (typeof status?.period === 'number' && status.period > regulationPeriods) return true;
-
-  const shortDetail = status?.type?.shortDetail || '';
-  return /OT/i.test(shortDetail);
+// Number of overtime periods (extra innings for MLB); 0 for regulation games
+function detectOvertimePeriodsFromStatus(status, sport) {
+  const fromPeriod = countOvertimePeriods(status?.period, sport);
+  const fromDetail = parseOvertimePeriods(status?.type?.shortDetail || '', sport);
+  return Math.max(fromPeriod, fromDetail);
 }
 
 export async function fetchSingleGame(sport, gameId) {
@@ -321,7 +324,7 @@ export async function fetchSingleGame(sport, gameId) {
     // Use summary endpoint which has full game details
     const url = `https://site.api.espn.com/apis/site/v2/sports/${apiPath}/summary?event=${gameId}`;
 
-    const response = await fetch(url);
+    const response = await httpFetch(url);
     if (!response.ok) throw new Error(`ESPN API error: ${response.status}`);
 
     const data = await response.json();
@@ -337,7 +340,8 @@ export async function fetchSingleGame(sport, gameId) {
     const awayTeam = competitors.find(c => c.homeAway === 'away');
 
     const completed = competition.status?.type?.completed || false;
-    const overtime = detectOvertimeFromStatus(competition.status, sport);
+    const overtimePeriods = detectOvertimePeriodsFromStatus(competition.status, sport);
+    const overtime = overtimePeriods > 0;
 
     // Parse bowl name and playoff round for CFB
     let bowlName = null;
@@ -390,6 +394,7 @@ export async function fetchSingleGame(sport, gameId) {
       awayScore: parseInt(awayTeam?.score || 0),
       completed: completed,
       overtime: overtime,
+      overtimePeriods: overtimePeriods,
       date: data.header?.competitions?.[0]?.date,
       bowlName: bowlName,
       playoffRound: playoffRound
@@ -0,0 +1,166 @@
+/**
+ * Game Clock Helpers
+ *
+ * Turns the `period` and `clock` fields carried on ESPN probability points
+ * into display labels. ESPN clocks arrive as `{ value, displayValue }` objects
+ * (value = seconds remaining in the period); older payloads may use a bare
+ * number or an "M:SS" string.
+ */
+
+import { getSportProfile } from '../shared/algorithm-config.js';
+
+// Period structure comes from the sport profile (regulation periods, period
+// name, nominal lengths and whether the clock is usable)
+function getPeriodStructure(sport) {
+  return getSportProfile(sport).periods;
+}
+
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${suffixes[n % 10] || 'th'}`;
+}
+
+/**
+ * Parses an ESPN clock into seconds remaining in the period.
+ * @param {Object|number|string|undefined} clock - ESPN clock value
+ * @returns {number|null} Seconds remaining, or null when unavailable
+ */
+export function parseClockSeconds(clock) {
+  if (clock == null) return null;
+  if (typeof clock === 'number') return Number.isFinite(clock) ? clock : null;
+  if (typeof clock === 'object') {
+    if (typeof clock.value === 'number') return clock.value;
+    return parseClockSeconds(clock.displayValue);
+  }
+  if (typeof clock === 'string') {
+    const match = clock.trim().match(/^(\d+):(\d{1,2})(?:\.\d+)?$/);
+    if (match) return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const seconds = parseFloat(clock);
+    return Number.isFinite(seconds) ? seconds : null;
+  }
+  return null;
+}
+
+/**
+ * Returns the number of regulation periods (quarters, halves, innings) for a sport.
+ * @param {string} sport - Sport type (NFL, CFB, NBA, CBB, MLB)
+ * @returns {number} Regulation period count
+ */
+export function getRegulationPeriods(sport = 'NFL') {
+  return getPeriodStructure(sport).regulation;
+}
+
+/**
+ * Counts overtime periods (extra innings for MLB) from the last period played.
+ * @param {number} period - Last ESPN period number reached
+ * @param {string} sport - Sport type
+ * @returns {number} Overtime periods (0 for regulation games)
+ */
+export function countOvertimePeriods(period, sport = 'NFL') {
+  if (typeof period !== 'number' || !Number.isFinite(period)) return 0;
+  return Math.max(0, Math.floor(period) - getRegulationPeriods(sport));
+}
+
+/**
+ * Parses an ESPN status short detail ("Final/OT", "Final/3OT", "Final/11")
+ * into an overtime period count.
+ * @param {string} shortDetail - ESPN `status.type.shortDetail`
+ * @param {string} sport - Sport type
+ * @returns {number} Overtime periods (0 when the detail shows none)
+ */
+export function parseOvertimePeriods(shortDetail, sport = 'NFL') {
+  if (!shortDetail) return 0;
+
+  const otMatch = shortDetail.match(/(\d*)\s*OT\b/i);
+  if (otMatch) return otMatch[1] ? parseInt(otMatch[1], 10) : 1;
+
+  // Baseball marks extra innings with the final inning number ("Final/11")
+  if (getPeriodStructure(sport).name === 'inning') {
+    const inningMatch = shortDetail.match(/\/(\d+)\s*$/);
+    if (inningMatch) return countOvertimePeriods(parseInt(inningMatch[1], 10), sport);
+  }
+
+  return 0;
+}
+
+/**
+ * Returns the nominal length of a period and whether its clock can be trusted.
+ * @param {number} period - ESPN period number (1-based)
+ * @param {string} sport - Sport type (NFL, CFB, NBA, CBB, MLB)
+ * @returns {{seconds: number, timed: boolean}} Period length in seconds
+ */
+export function getPeriodDuration(period, sport = 'NFL') {
+  const structure = getPeriodStructure(sport);
+  if (period > structure.regulation) {
+    return { seconds: structure.overtimeSeconds, timed: structure.timedOvertime };
+  }
+  return { seconds: structure.periodSeconds, timed: structure.timed };
+}
+
+/**
+ * Formats an ESPN clock for display ("8:00").
+ * @param {Object|number|string|undefined} clock - ESPN clock value
+ * @returns {string|null} Display clock, or null when unavailable
+ */
+export function formatClock(clock) {
+  if (clock && typeof clock === 'object' && clock.displayValue) return clock.displayValue;
+  const seconds = parseClockSeconds(clock);
+  if (seconds == null) return null;
+  const whole = Math.max(0, Math.round(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats the clock of a point in a given period, or null when that period has
+ * no usable clock (baseball, untimed overtime such as CFB's).
+ * @param {number} period - ESPN period number (1-based)
+ * @param {Object|number|string|undefined} clock - ESPN clock value
+ * @param {string} sport - Sport type (NFL, CFB, NBA, CBB, MLB)
+ * @returns {string|null} Display clock, or null when unavailable
+ */
+export function formatPeriodClock(period, clock, sport = 'NFL') {
+  return getPeriodDuration(period, sport).timed ? formatClock(clock) : null;
+}
+
+/**
+ * Formats a period number as a spoiler-safe label ("Q4", "2nd half", "OT", "2OT", "9th inning").
+ * @param {number} period - ESPN period number (1-based)
+ * @param {string} sport - Sport type (NFL, CFB, NBA, CBB, MLB)
+ * @returns {string} Period label
+ */
+export function formatPeriodLabel(period, sport = 'NFL') {
+  const structure = getPeriodStructure(sport);
+  const p = typeof period === 'number' && period > 0 ? period : 1;
+
+  if (structure.name === 'inning') {
+    return `${ordinal(p)} inning`;
+  }
+
+  if (p > structure.regulation) {
+    const overtimeNumber = p - structure.regulation;
+    return overtimeNumber === 1 ? 'OT' : `${overtimeNumber}OT`;
+  }
+
+  if (structure.name === 'half') {
+    return `${ordinal(p)} half`;
+  }
+
+  return `Q${p}`;
+}
+
+/**
+ * Formats a period + clock pair ("Q4, 2:13", "2nd half, 8:00", "7th inning",
+ * "OT" for untimed overtime).
+ * @param {number} period - ESPN period number
+ * @param {Object|number|string|undefined} clock - ESPN clock value
+ * @param {string} sport - Sport type
+ * @returns {string} Combined label
+ */
+export function formatGameTime(period, clock, sport = 'NFL') {
+  const periodLabel = formatPeriodLabel(period, sport);
+  const clockLabel = formatPeriodClock(period, clock, sport);
+  if (!clockLabel) return periodLabel;
+  return `${periodLabel}, ${clockLabel}`;
+}
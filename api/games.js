@@ -1,7 +1,8 @@
 // Streamlined Games API Endpoint
 import { fetchGames, fetchSingleGame, fetchMarchMadnessGames } from './fetcher.js';
 import { analyzeGameEntertainment } from './calculator.js';
-import { NFL_PLAYOFF_ROUNDS, isNFLPlayoffRound } from '../shared/algorithm-config.js';
+import { ALGORITHM_CONFIG, NFL_PLAYOFF_ROUNDS, isNFLPlayoffRound } from '../shared/algorithm-config.js';
+import { listAlgorithmVersions } from '../shared/algorithm-versions.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -21,7 +22,34 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { sport = 'NFL', season, week, seasonType = '2', date, gameId, tournamentMode } = req.body;
+    const {
+      sport = 'NFL',
+      season,
+      week,
+      seasonType = '2',
+      date,
+      gameId,
+      tournamentMode,
+      includeKeyMoments = false,
+      scoringCheck = false,
+      algorithmVersion = ALGORITHM_CONFIG.version
+    } = req.body;
+
+    // Frozen config versions can be requested to reproduce older scores
+    if (!listAlgorithmVersions().includes(algorithmVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown algorithmVersion "${algorithmVersion}"`,
+        availableVersions: listAlgorithmVersions()
+      });
+    }
+
+    // Opt-in extras attached to each analyzed game
+    const analysisOptions = {
+      includeKeyMoments: Boolean(includeKeyMoments),
+      scoringCheck: Boolean(scoringCheck),
+      algorithmVersion
+    };
 
     // Handle March Madness tournament request
     if (sport === 'CBB' && tournamentMode) {
@@ -35,14 +63,14 @@ export default async function handler(req, res) {
         return res.status(200).json({
           success: true,
           games: [],
-          metadata: { sport, tournamentMode: true, count: 0 }
+          metadata: { sport, tournamentMode: true, count: 0, algorithmVersion }
         });
       }
 
       console.log(`Found ${completedGames.length} completed tournament games, analyzing...`);
 
       const analyzedGames = await Promise.all(
-        completedGames.map(game => analyzeGameEntertainment(game, sport))
+        completedGames.map(game => analyzeGameEntertainment(game, sport, analysisOptions))
       );
 
       const validGames = analyzedGames.filter(game => game !== null);
@@ -55,7 +83,8 @@ export default async function handler(req, res) {
           sport,
           tournamentMode: true,
           count: validGames.length,
-          totalGames: analyzedGames.length
+          totalGames: analyzedGames.length,
+          algorithmVersion
         }
       });
     }
@@ -65,7 +94,7 @@ export default async function handler(req, res) {
       console.log(`Fetching single ${sport} game: ${gameId}`);
 
       const game = await fetchSingleGame(sport, gameId);
-      const analyzed = await analyzeGameEntertainment(game, sport);
+      const analyzed = await analyzeGameEntertainment(game, sport, analysisOptions);
 
       if (!analyzed) {
         return res.status(200).json({
@@ -75,7 +104,8 @@ export default async function handler(req, res) {
             sport,
             gameId,
             count: 0,
-            insufficientData: 1
+            insufficientData: 1,
+            algorithmVersion
           }
         });
       }
@@ -86,7 +116,8 @@ export default async function handler(req, res) {
         metadata: {
           sport,
           gameId,
-          count: 1
+          count: 1,
+          algorithmVersion
         }
       });
     }
@@ -129,7 +160,8 @@ export default async function handler(req, res) {
           season,
           week,
           date,
-          count: 0
+          count: 0,
+          algorithmVersion
         }
       });
     }
@@ -138,7 +170,7 @@ export default async function handler(req, res) {
 
     // Analyze each game in parallel
     const analyzedGames = await Promise.all(
-      games.map(game => analyzeGameEntertainment(game, sport))
+      games.map(game => analyzeGameEntertainment(game, sport, analysisOptions))
     );
 
     // Filter out null results (games with insufficient data)
@@ -157,6 +189,7 @@ export default async function handler(req, res) {
       count: validGames.length,
       totalGames: analyzedGames.length,
       insufficientData: insufficientDataCount,
+      algorithmVersion,
       source: 'ESPN Win Probability Analysis'
     };
 
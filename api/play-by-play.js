@@ -0,0 +1,120 @@
+/**
+ * Play-by-Play Fallback Scorer
+ *
+ * Scores games whose win-probability feed is missing or too short, from the
+ * scoring progression alone (ESPN summary scoring plays). The components
+ * mirror the WP metrics on the same 0-10 scale and are combined with the same
+ * weights:
+ * - tension: share of game time spent within one score
+ * - drama: lead changes and ties
+ * - finish: how close the late stretch was (average margin, late lead
+ *   changes or ties), or `overtimeFinish` for overtime games
+ *
+ * Without WP there is no sense of how likely a lead was to hold, so these
+ * scores are coarser than WP scores; results are tagged
+ * `scoreSource: 'play-by-play'`.
+ */
+
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+import { countOvertimePeriods, getPeriodDuration, getRegulationPeriods } from './game-clock.js';
+import { computeElapsedSeconds } from './time-resampling.js';
+
+function sign(value) {
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+}
+
+// Game length in seconds through the last period reached
+function gameLengthSeconds(lastPeriod, sport) {
+  let total = 0;
+  for (let period = 1; period <= lastPeriod; period++) {
+    total += getPeriodDuration(period, sport).seconds;
+  }
+  return total;
+}
+
+/**
+ * Scores a game from its scoring progression.
+ *
+ * @param {Array} events - [{ period, clock, homeScore, awayScore }] in game order
+ *   (running score after each scoring play)
+ * @param {Object} game - Game object (final scores, overtime)
+ * @param {string} sport - Sport type
+ * @returns {Object|null} { score, breakdown, leadChanges, ties, lateMargin,
+ *   overtimePeriods }, or null when there are too few scoring plays or the
+ *   fallback is disabled (playByPlay.enabled)
+ */
+export function scoreScoringProgression(events, game, sport = 'NFL') {
+  const config = ALGORITHM_CONFIG.playByPlay;
+  if (!config.enabled || !events || events.length < config.minScoringPlays) return null;
+
+  const scale = getSportProfile(sport).marginScale;
+  const regulation = getRegulationPeriods(sport);
+  const lastPeriod = Math.max(
+    regulation,
+    ...events.map(e => e.period || 1),
+    regulation + (game?.overtimePeriods || 0)
+  );
+  const overtimePeriods = countOvertimePeriods(lastPeriod, sport);
+
+  const elapsed = computeElapsedSeconds(events, sport);
+  const regulationEnd = gameLengthSeconds(regulation, sport);
+  const gameEnd = Math.max(gameLengthSeconds(lastPeriod, sport), elapsed[elapsed.length - 1] || 0);
+  const lateStart = regulationEnd * (1 - config.lateWindow);
+
+  // Walk the margin as a step function: 0-0 from kickoff, then each scoring play
+  const segments = [{ start: 0, margin: 0 }];
+  events.forEach((event, i) => {
+    segments.push({ start: elapsed[i], margin: (event.homeScore - event.awayScore) / scale });
+  });
+
+  let closeSeconds = 0;
+  let lateSeconds = 0;
+  let lateMarginSeconds = 0;
+  segments.forEach((segment, i) => {
+    const end = i + 1 < segments.length ? segments[i + 1].start : gameEnd;
+    const duration = Math.max(0, end - segment.start);
+    if (Math.abs(segment.margin) <= config.closeMargin) closeSeconds += duration;
+
+    const lateDuration = Math.max(0, end - Math.max(segment.start, lateStart));
+    lateSeconds += lateDuration;
+    lateMarginSeconds += lateDuration * Math.abs(segment.margin);
+  });
+
+  let leadChanges = 0;
+  let ties = 0;
+  let lateSwings = 0;
+  let leader = 0;
+  segments.slice(1).forEach((segment, i) => {
+    const current = sign(segment.margin);
+    const changedLead = current !== 0 && leader !== 0 && current !== leader;
+    const tied = current === 0 && sign(segments[i].margin) !== 0;
+    if (changedLead) leadChanges += 1;
+    if (tied) ties += 1;
+    if ((changedLead || tied) && segment.start >= lateStart) lateSwings += 1;
+    if (current !== 0) leader = current;
+  });
+
+  const lateMargin = lateSeconds > 0 ? lateMarginSeconds / lateSeconds : Math.abs(segments[segments.length - 1].margin);
+  const tension = gameEnd > 0 ? (closeSeconds / gameEnd) * 10 : 0;
+  const drama = Math.min(10, leadChanges * config.leadChangePoints + ties * config.tiePoints);
+  let finish = Math.max(0, 1 - lateMargin / config.lateCloseMargin) * 10;
+  if (lateSwings > 0) finish += config.lateLeadChangeBonus;
+  if (overtimePeriods > 0) finish = Math.max(finish, config.overtimeFinish);
+  finish = Math.min(10, finish);
+
+  const { weights } = ALGORITHM_CONFIG;
+  const overtimeBonus = overtimePeriods > 0
+    ? ALGORITHM_CONFIG.bonuses.overtime.base + (overtimePeriods - 1) * ALGORITHM_CONFIG.bonuses.overtime.perAdditionalOT
+    : 0;
+  const raw = tension * weights.tension + drama * weights.drama + finish * weights.finish + overtimeBonus;
+  const score = Math.max(ALGORITHM_CONFIG.scale.min, Math.min(ALGORITHM_CONFIG.scale.max, raw));
+
+  return {
+    score: Math.round(score * 10) / 10,
+    breakdown: { tension, drama, finish },
+    leadChanges,
+    ties,
+    lateMargin: Math.round(lateMargin * scale * 10) / 10,
+    overtimePeriods
+  };
+}
@@ -1,4 +1,7 @@
 // Schedule API Endpoint
+
+import { httpFetch } from '../shared/http-transport.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -60,8 +63,8 @@ export default async function handler(req, res) {
       const postseasonUrl = `${baseUrl}?season=${season}&seasontype=3`;
 
       const [regularRes, postRes] = await Promise.all([
-        fetch(regularSeasonUrl),
-        fetch(postseasonUrl)
+        httpFetch(regularSeasonUrl),
+        httpFetch(postseasonUrl)
       ]);
 
       if (!regularRes.ok && !postRes.ok) {
@@ -82,7 +85,7 @@ export default async function handler(req, res) {
     } else {
       // For NBA, single fetch is sufficient
       const url = `${baseUrl}?season=${season}`;
-      const response = await fetch(url);
+      const response = await httpFetch(url);
       if (!response.ok) throw new Error(`ESPN API error: ${response.status}`);
       data = await response.json();
     }
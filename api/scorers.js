@@ -0,0 +1,109 @@
+/**
+ * Scorer Registry
+ *
+ * Named excitement formulas that share one interface, so alternatives can run
+ * side by side (static generation, canonical benchmark, analysis scripts)
+ * without copying the calculator.
+ *
+ * A scorer is `{ description, score(probs, game, sport, context?) }` where
+ * `probs` is the normalized trace from `normalizeProbabilities` and `score`
+ * returns `{ score, breakdown? , ... }` (score on the 1-10 scale) or null when
+ * the trace is unusable. Extra fields (watchStart, summary, archetype, ...) are
+ * passed through to the API output when present. `context.scoreOnly` marks
+ * re-scores that only read `score` (uncertainty band), so a scorer may skip
+ * its extra fields.
+ *
+ * The calculator registers the GEI family ('gei', 'gei-decision-a',
+ * 'gei-decision-c'); the swing-sum prototypes from
+ * analysis/formula-comparison.js are registered here.
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+
+const registry = new Map();
+
+/**
+ * Normalizes raw ESPN probability items into the shared trace format.
+ * Points without a numeric homeWinPercentage are dropped (a WP of 0 is kept);
+ * without trace repair (before 3.7) they, and zeros, are read as 0.5.
+ * @param {Array} items - ESPN items with homeWinPercentage, period, clock
+ * @returns {Array} [{ value, period, clock }] with value clamped to 0-1
+ */
+export function normalizeProbabilities(items) {
+  if (!ALGORITHM_CONFIG.traceRepair.enabled) {
+    return (items || []).map(p => ({
+      value: Math.max(0, Math.min(1, p.homeWinPercentage || 0.5)),
+      period: p.period || 1,
+      clock: p.clock
+    }));
+  }
+
+  return (items || [])
+    .filter(p => typeof p.homeWinPercentage === 'number' && Number.isFinite(p.homeWinPercentage))
+    .map(p => ({
+      value: Math.max(0, Math.min(1, p.homeWinPercentage)),
+      period: p.period || 1,
+      clock: p.clock
+    }));
+}
+
+/**
+ * Registers (or replaces) a named scorer.
+ * @param {string} name - Scorer name used on the command line and in options
+ * @param {Object} scorer - { description, score(probs, game, sport, context?) }
+ */
+export function registerScorer(name, scorer) {
+  if (typeof scorer?.score !== 'function') {
+    throw new Error(`Scorer "${name}" must provide a score(probs, game, sport) function`);
+  }
+  registry.set(name, { name, description: scorer.description || '', score: scorer.score });
+}
+
+/**
+ * Looks up a scorer by name (defaults to `ALGORITHM_CONFIG.scorers.default`).
+ * @param {string} [name] - Scorer name
+ * @returns {Object} Registered scorer
+ */
+export function getScorer(name = ALGORITHM_CONFIG.scorers.default) {
+  const scorer = registry.get(name);
+  if (!scorer) {
+    throw new Error(`Unknown scorer "${name}" (registered: ${listScorers().join(', ')})`);
+  }
+  return scorer;
+}
+
+/**
+ * @returns {Array<string>} Registered scorer names, in registration order
+ */
+export function listScorers() {
+  return [...registry.keys()];
+}
+
+// Σ|Δp| prototypes: total (optionally leverage-weighted) WP movement, scaled
+// linearly onto 1-10. Leverage is 1 at 50% and falls to 0 at certainty.
+function scoreSwingSum(probs, { scale, leverage }) {
+  if (probs.length < ALGORITHM_CONFIG.thresholds.minDataPoints) return null;
+
+  let totalSwing = 0;
+  for (let i = 1; i < probs.length; i++) {
+    const swing = Math.abs(probs[i].value - probs[i - 1].value);
+    const weight = leverage ? probs[i - 1].value * (1 - probs[i - 1].value) * 4 : 1;
+    totalSwing += swing * weight;
+  }
+
+  const score = Math.max(1, Math.min(10, totalSwing * scale));
+  return {
+    score: Math.round(score * 10) / 10,
+    totalSwing: Math.round(totalSwing * 1000) / 1000
+  };
+}
+
+registerScorer('swing-sum', {
+  description: 'Total absolute WP change, scaled linearly (formula-comparison prototype)',
+  score: probs => scoreSwingSum(probs, { scale: ALGORITHM_CONFIG.scorers.swingSum.scale, leverage: false })
+});
+
+registerScorer('leverage-swing', {
+  description: 'Leverage-weighted total WP change, scaled linearly',
+  score: probs => scoreSwingSum(probs, { scale: ALGORITHM_CONFIG.scorers.leverageSwing.scale, leverage: true })
+});
@@ -0,0 +1,117 @@
+/**
+ * Scoring-Play Cross-Check
+ *
+ * Compares a game's win probability trace with its scoring plays (ESPN
+ * summary, see fetchScoringProgression). Lead changes, ties and late scores in
+ * a close game should each move WP toward the scoring team; when the trace
+ * shows no such swing, ESPN most likely missed the moment and the game is
+ * underrated. Misses feed detectDataQualityIssues, which replaces its
+ * margin/lead-count guess with them.
+ *
+ * Timed periods match plays to WP points within `windowSeconds` of game time;
+ * untimed periods (innings, college OT, missing clocks) match the whole period.
+ */
+
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+import { formatClock, getPeriodDuration, getRegulationPeriods, parseClockSeconds } from './game-clock.js';
+import { computeElapsedSeconds } from './time-resampling.js';
+
+// Regulation length in seconds
+function regulationSeconds(sport) {
+  let total = 0;
+  for (let period = 1; period <= getRegulationPeriods(sport); period++) {
+    total += getPeriodDuration(period, sport).seconds;
+  }
+  return total;
+}
+
+function classifyScore(margin, previousMargin, leader, late, config, scale) {
+  const current = Math.sign(margin);
+  if (current !== 0 && leader !== 0 && current !== leader) return 'lead-change';
+  if (current === 0 && previousMargin !== 0) return 'tie';
+  if (late && Math.abs(previousMargin) / scale <= config.lateCloseMargin) return 'late-score';
+  return null;
+}
+
+// Largest WP move toward the scoring team around a play, measured from the
+// last point before the window; null when no WP point falls in the window
+function swingToward(probItems, probTimes, event, time, direction, sport, windowSeconds) {
+  const period = event.period || 1;
+  const timed = getPeriodDuration(period, sport).timed && parseClockSeconds(event.clock) != null;
+  const inWindow = j => timed
+    ? Math.abs(probTimes[j] - time) <= windowSeconds
+    : (probItems[j].period || 1) === period;
+
+  let first = -1;
+  let best = -Infinity;
+  for (let j = 0; j < probItems.length; j++) {
+    if (!inWindow(j)) continue;
+    if (first < 0) first = j;
+    best = Math.max(best, direction * probItems[j].homeWinPercentage);
+  }
+  if (first < 0) return null;
+
+  const baseline = probItems[Math.max(0, first - 1)].homeWinPercentage;
+  return best - direction * baseline;
+}
+
+/**
+ * Cross-checks a WP trace against the game's scoring plays.
+ *
+ * @param {Array} probItems - Repaired ESPN items ({ homeWinPercentage, period, clock })
+ * @param {Array} events - [{ period, clock, homeScore, awayScore }] from fetchScoringProgression
+ * @param {string} sport - Sport type (NFL, CFB, NBA, MLB, CBB)
+ * @returns {Object|null} { checked, mismatches: [{ type, period, clock, swing }],
+ *   periods } where `checked` counts the lead changes, ties and late scores
+ *   compared and `periods` lists the affected period numbers; null when either
+ *   input is empty
+ */
+export function crossCheckScoringPlays(probItems, events, sport = 'NFL') {
+  if (!probItems?.length || !events?.length) return null;
+
+  const config = ALGORITHM_CONFIG.scoringCheck;
+  const scale = getSportProfile(sport).marginScale;
+  const regulation = getRegulationPeriods(sport);
+  const lateStart = regulationSeconds(sport) * (1 - config.lateWindow);
+  const probTimes = computeElapsedSeconds(probItems, sport);
+  const eventTimes = computeElapsedSeconds(events, sport);
+  const minSwing = {
+    'lead-change': config.leadChangeSwing,
+    tie: config.tieSwing,
+    'late-score': config.lateScoreSwing
+  };
+
+  let checked = 0;
+  let previousMargin = 0;
+  let leader = 0;
+  const mismatches = [];
+
+  events.forEach((event, i) => {
+    const margin = event.homeScore - event.awayScore;
+    const direction = Math.sign(margin - previousMargin);
+    const late = eventTimes[i] >= lateStart || (event.period || 1) > regulation;
+    const type = direction !== 0 ? classifyScore(margin, previousMargin, leader, late, config, scale) : null;
+
+    if (type) {
+      checked += 1;
+      const swing = swingToward(probItems, probTimes, event, eventTimes[i], direction, sport, config.windowSeconds);
+      if (swing === null || swing < minSwing[type]) {
+        mismatches.push({
+          type,
+          period: event.period || 1,
+          clock: formatClock(event.clock),
+          swing: swing === null ? null : Math.round(swing * 100) / 100
+        });
+      }
+    }
+
+    if (margin !== 0) leader = Math.sign(margin);
+    previousMargin = margin;
+  });
+
+  return {
+    checked,
+    mismatches,
+    periods: [...new Set(mismatches.map(m => m.period))].sort((a, b) => a - b)
+  };
+}
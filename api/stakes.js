@@ -0,0 +1,78 @@
+/**
+ * Stakes Metric
+ *
+ * Scores what was on the line (0-10) from game context the fetcher already
+ * collects: NFL playoff round labels, CFB playoff rounds and bowl names, and
+ * NCAA tournament bracket rounds, plus a configurable rivalry list.
+ * Stakes never feeds `excitement`; it is returned as `breakdown.stakes` and a
+ * quality-scaled `stakesBonus` that the UI can add to the ranking.
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+
+function matchRound(roundLabel, sport) {
+  if (!roundLabel) return null;
+  const lower = String(roundLabel).toLowerCase();
+  const rounds = ALGORITHM_CONFIG.stakes.rounds[sport] || [];
+  return rounds.find(round => round.match.some(pattern => lower.includes(pattern))) || null;
+}
+
+/**
+ * Checks whether two teams are configured rivals for a sport.
+ * @param {string} homeTeam - Home team name (ESPN shortDisplayName)
+ * @param {string} awayTeam - Away team name
+ * @param {string} sport - Sport type
+ * @returns {boolean} True when the pairing is on the rivalry list
+ */
+export function isRivalryGame(homeTeam, awayTeam, sport) {
+  const rivalries = ALGORITHM_CONFIG.stakes.rivalries[sport] || [];
+  return rivalries.some(([a, b]) =>
+    (a === homeTeam && b === awayTeam) || (a === awayTeam && b === homeTeam)
+  );
+}
+
+/**
+ * Calculates the stakes score for a game.
+ *
+ * @param {Object} game - Game object (playoffRound, bowlName, bracketRound, team names)
+ * @param {string} sport - Sport type
+ * @returns {Object} { score: 0-10, factors: ['Super Bowl', 'elimination', 'rivalry'] }
+ */
+export function calculateStakes(game, sport = 'NFL') {
+  const config = ALGORITHM_CONFIG.stakes;
+  const factors = [];
+  let score = 0;
+
+  const roundLabel = sport === 'CBB' ? game?.bracketRound : game?.playoffRound;
+  const round = matchRound(roundLabel, sport);
+  if (round) {
+    score = round.score;
+    factors.push(roundLabel);
+    if (round.elimination) {
+      score += config.eliminationBonus;
+      factors.push('elimination');
+    }
+  } else if (game?.bowlName) {
+    score = config.bowlScore;
+    factors.push(game.bowlName);
+  }
+
+  if (isRivalryGame(game?.homeTeam, game?.awayTeam, sport)) {
+    score = score > 0 ? score + config.rivalryPostseasonBonus : config.rivalryScore;
+    factors.push('rivalry');
+  }
+
+  return { score: Math.min(10, score), factors };
+}
+
+/**
+ * Converts stakes into ranking points, scaled by how good the game was so
+ * that stakes can break ties between great games but not rescue blowouts.
+ * @param {number} stakesScore - Stakes score (0-10)
+ * @param {number} excitement - Excitement score (1-10)
+ * @returns {number} Points to add when stakes are weighed
+ */
+export function calculateStakesBonus(stakesScore, excitement) {
+  const bonus = (stakesScore / 10) * (excitement / 10) * ALGORITHM_CONFIG.stakes.maxBoost;
+  return Math.round(bonus * 100) / 100;
+}
@@ -0,0 +1,85 @@
+/**
+ * Game Summaries
+ *
+ * Turns scoring internals (decision point, lead changes, comeback size,
+ * overtime, component scores) into a one- or two-sentence blurb such as
+ * "Back-and-forth all game, decided in the final minute."
+ *
+ * Two variants are produced:
+ * - text: spoiler-free, never names a team or the score
+ * - spoilerText: the same blurb plus who won, for when scores are shown
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+import { getPeriodDuration, getRegulationPeriods, parseClockSeconds } from './game-clock.js';
+
+function describeFlow(signals, config) {
+  const { leadChanges, tension, comeback, decisionPoint } = signals;
+
+  if (!decisionPoint.wasEverCompetitive) return 'One-sided from the opening minutes';
+  if (leadChanges >= config.backAndForthLeadChanges || decisionPoint.wasAlwaysCompetitive) {
+    return 'Back-and-forth all game';
+  }
+  if (comeback.maxDeficit >= config.bigComebackDeficit) return 'Featured a big comeback';
+  if (leadChanges >= config.someLeadChanges) return 'Plenty of lead changes';
+  if (tension >= config.tightTension) return 'Tight throughout';
+  if (tension <= config.lopsidedTension) return 'Lopsided for long stretches';
+  return 'Competitive in spots';
+}
+
+function describeFinish(signals, sport, config) {
+  const { overtimePeriods, decisionPoint } = signals;
+  const innings = sport === 'MLB';
+
+  if (overtimePeriods >= 2) return innings ? 'went deep into extra innings' : 'needed multiple overtimes';
+  if (overtimePeriods === 1) return innings ? 'went to extra innings' : 'went to overtime';
+
+  // "Final minute" only where the clock is trustworthy and it's the last period
+  const { period, clock, decisionLateness } = decisionPoint;
+  const seconds = parseClockSeconds(clock);
+  if (period >= getRegulationPeriods(sport) && getPeriodDuration(period, sport).timed &&
+      seconds != null && seconds <= config.finalMinuteSeconds && decisionLateness >= config.lateDecision) {
+    return 'decided in the final minute';
+  }
+  if (decisionLateness >= config.lateDecision) return 'in doubt until the end';
+  if (decisionLateness >= config.midDecision) return 'settled down the stretch';
+  return 'decided early';
+}
+
+function describeResult(game, comeback, config) {
+  if (typeof game?.homeScore !== 'number' || typeof game?.awayScore !== 'number' ||
+      game.homeScore === game.awayScore) {
+    return null;
+  }
+  const homeWon = game.homeScore > game.awayScore;
+  const winner = homeWon ? game.homeTeam : game.awayTeam;
+  const high = Math.max(game.homeScore, game.awayScore);
+  const low = Math.min(game.homeScore, game.awayScore);
+  const verb = comeback.maxDeficit >= config.bigComebackDeficit ? 'rallied to win' : 'won';
+  return `${winner} ${verb} ${high}-${low}.`;
+}
+
+/**
+ * Builds the spoiler-free and spoiler variants of a game blurb.
+ *
+ * @param {Object} signals - Scoring internals
+ * @param {number} signals.tension - Tension score (0-10)
+ * @param {number} signals.leadChanges - Number of 50% crossings
+ * @param {Object} signals.comeback - { maxDeficit, gameProgress }
+ * @param {Object} signals.decisionPoint - findDecisionPoint() result plus the
+ *   decision point's `period` and `clock`
+ * @param {number} signals.overtimePeriods - OT periods (extra innings for MLB)
+ * @param {Object} game - Game object (team names and scores, spoiler variant only)
+ * @param {string} sport - Sport type
+ * @returns {Object} { text, spoilerText }
+ */
+export function generateGameSummary(signals, game, sport = 'NFL') {
+  const config = ALGORITHM_CONFIG.summary;
+  const text = `${describeFlow(signals, config)}, ${describeFinish(signals, sport, config)}.`;
+  const result = describeResult(game, signals.comeback, config);
+
+  return {
+    text,
+    spoilerText: result ? `${text} ${result}` : text
+  };
+}
@@ -1,4 +1,7 @@
 // Teams API Endpoint
+
+import { httpFetch } from '../shared/http-transport.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -44,7 +47,7 @@ export default async function handler(req, res) {
     const limit = sport === 'CFB' ? 200 : 50;
     const url = `https://site.api.espn.com/apis/site/v2/sports/${apiPath}/teams?limit=${limit}`;
 
-    const response = await fetch(url);
+    const response = await httpFetch(url);
     if (!response.ok) throw new Error(`ESPN API error: ${response.status}`);
 
     const data = await response.json();
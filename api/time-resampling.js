@@ -0,0 +1,141 @@
+/**
+ * Time Resampling
+ *
+ * ESPN win-probability feeds carry one point per play, so array index is not
+ * game time: two-minute drills, free-throw trips and overtime pack in far more
+ * points than quiet stretches. These helpers turn each point's `period` and
+ * `clock` into elapsed game seconds and resample the series onto a uniform
+ * time grid, so metrics that use `i / probs.length` as lateness measure real
+ * game progress.
+ */
+
+import { getPeriodDuration, parseClockSeconds } from './game-clock.js';
+
+/**
+ * Computes elapsed game seconds for every probability point.
+ *
+ * Timed periods use the clock (seconds remaining). Periods without a usable
+ * clock (innings, college OT, missing clocks) spread their points evenly
+ * between known neighbours. Periods are made monotonic so stray post-game
+ * points never jump back to the first period, and a period whose clock runs
+ * longer than its nominal length (e.g. 15-minute NFL playoff OT) is stretched.
+ *
+ * @param {Array} probs - Array of probability objects with value, period, clock
+ * @param {string} sport - Sport type
+ * @returns {Array<number>} Elapsed seconds per point (non-decreasing)
+ */
+export function computeElapsedSeconds(probs, sport = 'NFL') {
+  if (!probs || probs.length === 0) return [];
+
+  // Group point indices by (monotonic) period
+  const segments = [];
+  let currentPeriod = probs[0].period || 1;
+  for (let i = 0; i < probs.length; i++) {
+    currentPeriod = Math.max(currentPeriod, probs[i].period || 1);
+    const last = segments[segments.length - 1];
+    if (last && last.period === currentPeriod) {
+      last.indices.push(i);
+    } else {
+      segments.push({ period: currentPeriod, indices: [i] });
+    }
+  }
+
+  // Period lengths, stretched to the longest clock actually observed
+  const maxPeriod = segments[segments.length - 1].period;
+  const durations = [];
+  for (let period = 1; period <= maxPeriod; period++) {
+    durations[period] = getPeriodDuration(period, sport).seconds;
+  }
+  for (const segment of segments) {
+    if (!getPeriodDuration(segment.period, sport).timed) continue;
+    for (const i of segment.indices) {
+      const seconds = parseClockSeconds(probs[i].clock);
+      if (seconds != null && seconds > durations[segment.period]) {
+        durations[segment.period] = seconds;
+      }
+    }
+  }
+
+  const offsets = [];
+  let offset = 0;
+  for (let period = 1; period <= maxPeriod; period++) {
+    offsets[period] = offset;
+    offset += durations[period];
+  }
+
+  const elapsed = new Array(probs.length);
+  for (const segment of segments) {
+    const start = offsets[segment.period];
+    const duration = durations[segment.period];
+    const timed = getPeriodDuration(segment.period, sport).timed;
+    const n = segment.indices.length;
+
+    // Anchors: virtual period start/end plus every point with a usable clock
+    const anchors = [{ k: -1, t: start }];
+    segment.indices.forEach((i, k) => {
+      const seconds = timed ? parseClockSeconds(probs[i].clock) : null;
+      if (seconds != null) {
+        anchors.push({ k, t: start + duration - Math.max(0, Math.min(duration, seconds)) });
+      }
+    });
+    anchors.push({ k: n, t: start + duration });
+
+    let a = 0;
+    for (let k = 0; k < n; k++) {
+      while (anchors[a + 1].k < k) a++;
+      const left = anchors[a];
+      const right = anchors[a + 1];
+      elapsed[segment.indices[k]] = right.k === k
+        ? right.t
+        : left.t + ((right.t - left.t) * (k - left.k)) / (right.k - left.k);
+    }
+  }
+
+  // Clocks occasionally tick backwards (replay reviews, data glitches)
+  for (let i = 1; i < elapsed.length; i++) {
+    elapsed[i] = Math.max(elapsed[i], elapsed[i - 1]);
+  }
+
+  return elapsed;
+}
+
+/**
+ * Resamples probability points onto a uniform game-time grid.
+ *
+ * Win probability is a step function between plays, so each grid slot takes
+ * the latest point at or before its time (sample-and-hold). The first and last
+ * grid slots always carry the first and last points.
+ *
+ * @param {Array} probs - Array of probability objects with value, period, clock
+ * @param {string} sport - Sport type
+ * @param {Object} options - { minGridPoints }
+ * @returns {Array} Resampled points ({ value, period, clock, elapsed }), or the
+ *   original points when the series has no measurable game time
+ */
+export function resampleByGameTime(probs, sport = 'NFL', options = {}) {
+  if (!probs || probs.length < 2) return probs;
+
+  const elapsed = computeElapsedSeconds(probs, sport);
+  const startTime = elapsed[0];
+  const endTime = elapsed[elapsed.length - 1];
+  if (!(endTime > startTime)) return probs;
+
+  const gridPoints = Math.max(options.minGridPoints || 0, probs.length);
+  const resampled = [];
+  let j = 0;
+
+  for (let k = 0; k < gridPoints; k++) {
+    const t = k === gridPoints - 1
+      ? endTime
+      : startTime + ((endTime - startTime) * k) / (gridPoints - 1);
+    while (j + 1 < probs.length && elapsed[j + 1] <= t) j++;
+    resampled.push({
+      value: probs[j].value,
+      period: probs[j].period,
+      clock: probs[j].clock,
+      elapsed: t
+    });
+  }
+
+  return resampled;
+}
@@ -0,0 +1,198 @@
+/**
+ * Probability Trace Repair
+ *
+ * Fixes glitches in raw ESPN win probability items before they are scored and
+ * records every fix, so games can carry them (`dataRepairs`) and
+ * detectDataQualityIssues can count them. Stages run in this order:
+ * - invalid-value: points without a numeric homeWinPercentage are dropped and
+ *   values outside 0-1 are clamped (0 and 1 are real values and are kept)
+ * - trailing-noise: post-game bounce-back is truncated (filterTrailingNoise)
+ * - duplicate: back-to-back copies of a point (same play, or same period,
+ *   clock and value) keep only the last copy
+ * - missing-period: points without a period take the previous point's period
+ * - clock-order: in timed periods, a clock that runs backwards is held at the
+ *   previous clock
+ * - spike: a single point far from two neighbours that agree with each other
+ *   is replaced by the neighbours' average
+ *
+ * With `traceRepair.enabled` off (versions before 3.7) only trailing noise is
+ * filtered, nothing is recorded, and normalizeProbabilities reads missing or
+ * zero values as 0.5, as the scorers did before.
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+import { filterTrailingNoise } from '../shared/espn-api.js';
+import { formatClock, getPeriodDuration, parseClockSeconds } from './game-clock.js';
+
+function isValidPeriod(period) {
+  return typeof period === 'number' && Number.isFinite(period) && period >= 1;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(0)}%`;
+}
+
+function record(repairs, type, item, message) {
+  repairs.push({
+    type,
+    period: isValidPeriod(item.period) ? item.period : null,
+    clock: formatClock(item.clock),
+    message
+  });
+}
+
+function repairValues(items, repairs) {
+  const kept = [];
+  for (const item of items) {
+    const wp = item.homeWinPercentage;
+    if (typeof wp !== 'number' || !Number.isFinite(wp)) {
+      record(repairs, 'invalid-value', item, 'Dropped a point without a win probability');
+    } else if (wp < 0 || wp > 1) {
+      const clamped = Math.max(0, Math.min(1, wp));
+      record(repairs, 'invalid-value', item, `Clamped win probability ${wp} to ${clamped}`);
+      kept.push({ ...item, homeWinPercentage: clamped });
+    } else {
+      kept.push(item);
+    }
+  }
+  return kept;
+}
+
+function repairTrailingNoise(items, repairs) {
+  const filtered = filterTrailingNoise(items);
+  const dropped = items.length - filtered.length;
+  if (dropped > 0) {
+    record(
+      repairs,
+      'trailing-noise',
+      filtered[filtered.length - 1],
+      `Truncated ${dropped} post-game point${dropped === 1 ? '' : 's'} that bounced back from the decided result`
+    );
+  }
+  return filtered;
+}
+
+// Points without a play reference or a clock (innings, missing clocks) can't
+// be told apart from consecutive plays that left WP unchanged
+function duplicateKey(item) {
+  if (item.play?.$ref) return `play:${item.play.$ref}`;
+  const seconds = parseClockSeconds(item.clock);
+  if (seconds == null) return null;
+  return `${item.period}|${seconds}|${item.homeWinPercentage}`;
+}
+
+function repairDuplicates(items, repairs) {
+  return items.filter((item, i) => {
+    const key = duplicateKey(item);
+    if (key === null || i === items.length - 1 || key !== duplicateKey(items[i + 1])) return true;
+    record(repairs, 'duplicate', item, 'Dropped a duplicated point');
+    return false;
+  });
+}
+
+function repairPeriods(items, repairs) {
+  let previous = items.find(item => isValidPeriod(item.period))?.period ?? 1;
+  return items.map(item => {
+    if (isValidPeriod(item.period)) {
+      previous = item.period;
+      return item;
+    }
+    const repaired = { ...item, period: previous };
+    record(repairs, 'missing-period', repaired, `Filled a missing period with ${previous}`);
+    return repaired;
+  });
+}
+
+function repairClockOrder(items, sport, repairs, tolerance) {
+  const seconds = items.map(item =>
+    getPeriodDuration(item.period, sport).timed ? parseClockSeconds(item.clock) : null
+  );
+  const comparable = (i, j) =>
+    seconds[i] != null && seconds[j] != null && items[i].period === items[j].period;
+
+  const hold = (result, i, from) => {
+    record(
+      repairs,
+      'clock-order',
+      result[i],
+      `Clock ran backwards (${formatClock(result[i].clock)} after ${formatClock(result[from].clock)}); held at ${formatClock(result[from].clock)}`
+    );
+    result[i] = { ...result[i], clock: result[from].clock };
+    seconds[i] = seconds[from];
+  };
+
+  const result = items.slice();
+
+  // A single point that jumps ahead while its neighbours stay in order is the
+  // glitch, not every point after it
+  for (let i = 1; i < result.length - 1; i++) {
+    if (
+      comparable(i - 1, i) && comparable(i, i + 1) &&
+      seconds[i] < seconds[i + 1] - tolerance &&
+      seconds[i - 1] >= seconds[i + 1] - tolerance
+    ) {
+      hold(result, i, i - 1);
+    }
+  }
+
+  // Anything still running backwards is held at the last clock in order
+  let last = -1;
+  for (let i = 0; i < result.length; i++) {
+    if (seconds[i] == null) continue;
+    if (last >= 0 && comparable(last, i) && seconds[i] > seconds[last] + tolerance) {
+      hold(result, i, last);
+    }
+    last = i;
+  }
+
+  return result;
+}
+
+function repairSpikes(items, repairs, config) {
+  const result = items.slice();
+  for (let i = 1; i < result.length - 1; i++) {
+    const prev = result[i - 1].homeWinPercentage;
+    const curr = result[i].homeWinPercentage;
+    const next = result[i + 1].homeWinPercentage;
+    if (
+      Math.abs(curr - prev) >= config.spikeThreshold &&
+      Math.abs(curr - next) >= config.spikeThreshold &&
+      Math.abs(next - prev) <= config.spikeReturnTolerance
+    ) {
+      record(
+        repairs,
+        'spike',
+        result[i],
+        `Smoothed a one-point spike to ${percent(curr)} between ${percent(prev)} and ${percent(next)}`
+      );
+      result[i] = { ...result[i], homeWinPercentage: (prev + next) / 2 };
+    }
+  }
+  return result;
+}
+
+/**
+ * Repairs a raw ESPN probability trace.
+ *
+ * @param {Array} items - Raw ESPN items ({ homeWinPercentage, period, clock, ... })
+ * @param {string} sport - Sport type (NFL, CFB, NBA, MLB, CBB)
+ * @returns {{items: Array|null, repairs: Array<Object>}} Repaired items (input
+ *   items are never mutated) and one { type, period, clock, message } record
+ *   per repair
+ */
+export function repairProbabilityTrace(items, sport = 'NFL') {
+  const repairs = [];
+  if (!items || items.length === 0) return { items, repairs };
+
+  const config = ALGORITHM_CONFIG.traceRepair;
+  if (!config.enabled) return { items: filterTrailingNoise(items), repairs };
+
+  let repaired = repairValues(items, repairs);
+  repaired = repairTrailingNoise(repaired, repairs);
+  repaired = repairDuplicates(repaired, repairs);
+  repaired = repairPeriods(repaired, repairs);
+  repaired = repairClockOrder(repaired, sport, repairs, config.clockTolerance);
+  repaired = repairSpikes(repaired, repairs, config);
+
+  return { items: repaired, repairs };
+}
@@ -0,0 +1,96 @@
+/**
+ * Excitement Uncertainty
+ *
+ * Puts a confidence band around each excitement score. Three independent
+ * sources are combined in quadrature:
+ * - Trace sensitivity: re-score the game on perturbed copies of the ESPN WP
+ *   trace (rescaled and slowly drifted in logit space, thinned sampling,
+ *   trimmed tail) and measure how far the score moves. The value perturbations
+ *   are smooth and keep the trace's order and 50% crossings (independent
+ *   per-point noise would invent swings and lead changes and bias scores up)
+ * - Data quality: flagged issues (sparse data, trailing noise, missing drama)
+ *   add a fixed width by severity
+ * - Margin correction: when the Bayesian margin correction moved the score,
+ *   part of that shift is model uncertainty rather than signal
+ */
+
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+
+// Maps a WP through logit space; certain outcomes (0 and 1) stay put
+function perturbLogit(value, scale, offset) {
+  if (!(value > 0 && value < 1)) return value;
+  const logit = Math.log(value / (1 - value)) * scale + offset;
+  return 1 / (1 + Math.exp(-logit));
+}
+
+/**
+ * Builds perturbed copies of a raw ESPN probability trace.
+ * @param {Array} items - Raw probability items (homeWinPercentage, period, clock)
+ * @returns {Array<Array>} Perturbed traces
+ */
+export function buildPerturbedTraces(items) {
+  const config = ALGORITHM_CONFIG.uncertainty.perturbations;
+  const traces = [];
+
+  const perturb = (scale, drift) => items.map((item, i) => {
+    // Half-sine drift: zero at kickoff and at the final point
+    const offset = drift * Math.sin(Math.PI * i / Math.max(1, items.length - 1));
+    return { ...item, homeWinPercentage: perturbLogit(item.homeWinPercentage ?? 0.5, scale, offset) };
+  });
+
+  config.logitScales.forEach(scale => traces.push(perturb(scale, 0)));
+  traces.push(perturb(1, config.logitDrift), perturb(1, -config.logitDrift));
+
+  config.thinningSteps.forEach(step => {
+    // Always keep the final point so the result is unchanged
+    traces.push(items.filter((_, i) => i % step !== step - 1 || i === items.length - 1));
+  });
+
+  if (items.length > config.tailTrimPoints * 4) {
+    traces.push(items.slice(0, -config.tailTrimPoints));
+  }
+
+  return traces;
+}
+
+/**
+ * Estimates the excitement range for a game.
+ *
+ * @param {Array} items - Raw probability items used for the score
+ * @param {number} score - Excitement score (1-10)
+ * @param {Object} options
+ * @param {Function} options.scoreTrace - (items) => score|null for a perturbed trace
+ * @param {string|null} [options.dataQualitySeverity] - 'high' | 'medium' | 'low' | null
+ * @param {number} [options.marginCorrectionShift] - Points added by margin correction
+ * @returns {Object} { low, high, halfWidth }
+ */
+export function estimateExcitementRange(items, score, options = {}) {
+  const config = ALGORITHM_CONFIG.uncertainty;
+  const { min, max } = ALGORITHM_CONFIG.scale;
+
+  // Trace sensitivity: largest deviation across perturbed re-scores
+  let traceWidth = 0;
+  if (typeof options.scoreTrace === 'function') {
+    for (const trace of buildPerturbedTraces(items)) {
+      const perturbed = options.scoreTrace(trace);
+      if (typeof perturbed === 'number') {
+        traceWidth = Math.max(traceWidth, Math.abs(perturbed - score));
+      }
+    }
+  }
+
+  const qualityWidth = config.dataQualityWidth[options.dataQualitySeverity] ?? 0;
+  const correctionWidth = Math.abs(options.marginCorrectionShift || 0) * config.marginCorrectionShare;
+
+  const halfWidth = Math.max(
+    config.minHalfWidth,
+    Math.sqrt(traceWidth ** 2 + qualityWidth ** 2 + correctionWidth ** 2)
+  );
+  const rounded = Math.round(halfWidth * 10) / 10;
+
+  return {
+    low: Math.max(min, Math.round((score - rounded) * 10) / 10),
+    high: Math.min(max, Math.round((score + rounded) * 10) / 10),
+    halfWidth: rounded
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Upset Model
+ *
+ * Decides whether the underdog won and by how much it defied expectations.
+ * The favorite is set before the game from two independent signals:
+ * - Pregame win probability: ESPN's first WP point, recorded before kickoff/tip
+ *   (`bonuses.upset.pregameWindow` can average a longer opening window)
+ * - Seed gap: tournament seeds, for sports whose profile sets
+ *   `upsets.seedDriven` (March Madness lives on 15-over-2 upsets). Only
+ *   bracket games (`bracketRound` set) count: in the regular season the
+ *   fetcher's homeSeed/awaySeed hold AP poll ranks, which are not seeds
+ *
+ * The result is compared against the final score, so a favorite that trailed
+ * all game and lost is still an upset even if the WP trace saw it coming.
+ */
+
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+
+// Tournament seeds run 1-16; anything else (e.g. ESPN's 99 for "unranked") is ignored
+const MAX_VALID_SEED = 16;
+
+function validSeed(seed) {
+  const n = typeof seed === 'string' ? parseInt(seed, 10) : seed;
+  return Number.isInteger(n) && n >= 1 && n <= MAX_VALID_SEED ? n : null;
+}
+
+/**
+ * Converts a seed gap into the better seed's expected win probability.
+ * Logistic fit to NCAA tournament history (1-vs-16 ≈ 0.96, 8-vs-9 ≈ 0.55).
+ * @param {number} seedGap - Worse seed minus better seed (>= 0)
+ * @returns {number} Better seed's win probability (0.5-1)
+ */
+export function seedGapToWinProbability(seedGap) {
+  const slope = ALGORITHM_CONFIG.bonuses.upset.seedLogisticSlope;
+  return 1 / (1 + Math.exp(-slope * seedGap));
+}
+
+/**
+ * Builds the upset signal for a game.
+ *
+ * @param {Array} probs - Probability objects with value (home WP), in game order
+ * @param {Object} game - Game object with homeScore, awayScore, homeSeed, awaySeed
+ * @param {string} sport - Sport type
+ * @returns {Object} {
+ *   isUpset,             // underdog won and the favorite was clear (>= threshold)
+ *   magnitude,           // 0-1, how big the upset was (0 when not an upset)
+ *   favorite,            // 'home' | 'away' | null
+ *   favoriteWinProbability, // combined pregame expectation for the favorite
+ *   pregameHomeWinProbability,
+ *   favoriteSeed, underdogSeed, // when seeds drove the expectation
+ *   label                // "15 over 2" (seeded) or "upset"
+ * }
+ */
+export function detectUpset(probs, game, sport = 'NFL') {
+  const config = ALGORITHM_CONFIG.bonuses.upset;
+  const noUpset = {
+    isUpset: false,
+    magnitude: 0,
+    favorite: null,
+    favoriteWinProbability: null,
+    pregameHomeWinProbability: null,
+    favoriteSeed: null,
+    underdogSeed: null,
+    label: null
+  };
+  if (!probs || probs.length === 0) return noUpset;
+
+  const { maxPoints, fraction, minPoints } = config.pregameWindow;
+  const windowSize = Math.max(Math.min(maxPoints, Math.floor(probs.length * fraction)), minPoints);
+  const pregamePoints = probs.slice(0, windowSize);
+  const pregameHomeWP = pregamePoints.reduce((sum, p) => sum + p.value, 0) / pregamePoints.length;
+  let homeExpectedWP = pregameHomeWP;
+
+  // Blend in the seed-implied expectation when both teams are seeded in a bracket game
+  const isBracketGame = Boolean(game?.bracketRound);
+  const homeSeed = isBracketGame ? validSeed(game.homeSeed) : null;
+  const awaySeed = isBracketGame ? validSeed(game.awaySeed) : null;
+  const useSeeds = Boolean(getSportProfile(sport).upsets?.seedDriven) &&
+    homeSeed != null && awaySeed != null && homeSeed !== awaySeed;
+  if (useSeeds) {
+    const betterSeedWP = seedGapToWinProbability(Math.abs(homeSeed - awaySeed));
+    const homeSeedWP = homeSeed < awaySeed ? betterSeedWP : 1 - betterSeedWP;
+    homeExpectedWP = (1 - config.seedWeight) * pregameHomeWP + config.seedWeight * homeSeedWP;
+  }
+
+  const favorite = homeExpectedWP >= 0.5 ? 'home' : 'away';
+  const favoriteWP = favorite === 'home' ? homeExpectedWP : 1 - homeExpectedWP;
+
+  // Final result: scoreboard when available, otherwise the last WP point
+  const hasScores = typeof game?.homeScore === 'number' && typeof game?.awayScore === 'number' &&
+    game.homeScore !== game.awayScore;
+  const homeWon = hasScores ? game.homeScore > game.awayScore : probs[probs.length - 1].value > 0.5;
+  const favoriteWon = (favorite === 'home') === homeWon;
+
+  const base = {
+    ...noUpset,
+    favorite,
+    favoriteWinProbability: Math.round(favoriteWP * 1000) / 1000,
+    pregameHomeWinProbability: Math.round(pregameHomeWP * 1000) / 1000,
+    favoriteSeed: useSeeds ? (favorite === 'home' ? homeSeed : awaySeed) : null,
+    underdogSeed: useSeeds ? (favorite === 'home' ? awaySeed : homeSeed) : null
+  };
+
+  if (favoriteWon || favoriteWP < config.threshold) return base;
+
+  // 0 at the threshold, 1 at fullMagnitudeWP and beyond
+  const magnitude = Math.min(1, (favoriteWP - config.threshold) / (config.fullMagnitudeWP - config.threshold));
+  const seededUpset = base.favoriteSeed != null && base.underdogSeed > base.favoriteSeed;
+
+  return {
+    ...base,
+    isUpset: true,
+    magnitude: Math.round(magnitude * 1000) / 1000,
+    label: seededUpset ? `${base.underdogSeed} over ${base.favoriteSeed}` : 'upset'
+  };
+}
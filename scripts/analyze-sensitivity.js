@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * One-at-a-time sensitivity analysis of the scoring config.
+ *
+ * Every numeric parameter that feeds the score (weights, thresholds, bonuses
+ * and the sport profiles of the sports in the corpus) is nudged down and up by
+ * --delta (default ±20%), the cached game corpus is re-scored with
+ * withConfigPatch, and the result is compared with the current config:
+ * - tier flips (and, for canonical games, whether the flip fixes or breaks one)
+ * - score shift (mean and max |Δ|)
+ * - Spearman rank correlation between the current and perturbed scores
+ *
+ * Parameters that change no score in either direction are listed as dead
+ * weight: candidates for removal, or values the corpus never exercises.
+ *
+ * Runs offline against the probability cache (scripts/lib/probability-cache.js);
+ * --fetch fills it with the canonical games first.
+ *
+ * Usage:
+ *   npm run analyze:sensitivity
+ *   npm run analyze:sensitivity -- --delta 0.1 --fetch
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+// Importing the calculator registers the GEI scorers
+import '../api/calculator.js';
+import { getScorer, normalizeProbabilities } from '../api/scorers.js';
+import { withConfigPatch } from '../shared/algorithm-versions.js';
+import { ALGORITHM_CONFIG, getTier } from '../shared/algorithm-config.js';
+import { listCachedGames, loadCachedGames } from './lib/probability-cache.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CANONICAL_PATH = join(ROOT, 'analysis', 'canonical-games.json');
+const OUTPUT_MD = join(ROOT, 'analysis', 'sensitivity-report.md');
+const OUTPUT_JSON = join(ROOT, 'analysis', 'sensitivity-summary.json');
+
+const args = process.argv.slice(2);
+const deltaIndex = args.indexOf('--delta');
+const DELTA = deltaIndex >= 0 ? Number(args[deltaIndex + 1]) : 0.2;
+const FETCH_MISSING = args.includes('--fetch');
+
+// Sections searched for parameters, and subtrees that feed display features
+// (key moments, watch start, period strip, data-quality warnings), gate
+// scoring or describe structure rather than tune the score
+const SECTIONS = ['weights', 'thresholds', 'bonuses'];
+const EXCLUDED = [
+  'thresholds.minDataPoints',
+  'thresholds.keyMoments',
+  'thresholds.watchStart',
+  'thresholds.periodBreakdown',
+  'sportProfiles.*.periods',
+  'sportProfiles.*.dataQuality'
+];
+const LOW_IMPACT_MAX_SHIFT = 0.1;
+
+function isExcluded(path) {
+  return EXCLUDED.some(pattern => {
+    const regex = new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '[^.]+')}(\\.|$)`);
+    return regex.test(path);
+  });
+}
+
+function collectParameters(object, prefix, out = []) {
+  for (const [key, value] of Object.entries(object)) {
+    const path = `${prefix}.${key}`;
+    if (isExcluded(path)) continue;
+    if (typeof value === 'number') {
+      out.push({ path, value });
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      collectParameters(value, path, out);
+    }
+  }
+  return out;
+}
+
+function buildPatch(path, value) {
+  const patch = {};
+  const keys = path.split('.');
+  let target = patch;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+  return patch;
+}
+
+// Down/up values: ±delta relative, at least ±1 for counts (never below 1,
+// since counts and scales of 0 are degenerate), +delta for zeros
+function perturbations(value) {
+  if (value === 0) return [DELTA];
+  if (Number.isInteger(value) && value >= 1) {
+    const step = Math.max(1, Math.round(value * DELTA));
+    return [value - step, value + step].filter(v => v >= 1);
+  }
+  return [value * (1 - DELTA), value * (1 + DELTA)].map(v => Math.round(v * 10000) / 10000);
+}
+
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function formatNumber(value, decimals = 2) {
+  return typeof value === 'number' ? value.toFixed(decimals) : 'n/a';
+}
+
+// Average ranks (ties share the mean rank)
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k].index] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+function spearman(valuesX, valuesY) {
+  if (valuesX.length < 2) return null;
+  const rx = ranks(valuesX);
+  const ry = ranks(valuesY);
+  const mean = rx.reduce((sum, v) => sum + v, 0) / rx.length;
+  let num = 0;
+  let denomX = 0;
+  let denomY = 0;
+  for (let i = 0; i < rx.length; i++) {
+    num += (rx[i] - mean) * (ry[i] - mean);
+    denomX += (rx[i] - mean) ** 2;
+    denomY += (ry[i] - mean) ** 2;
+  }
+  const denom = Math.sqrt(denomX * denomY);
+  return denom === 0 ? null : num / denom;
+}
+
+async function loadCorpus() {
+  const canonical = JSON.parse(await readFile(CANONICAL_PATH, 'utf8'));
+  const expected = new Map(canonical.map(entry => [`${entry.sport}:${entry.gameId}`, entry.expectedTier]));
+
+  if (FETCH_MISSING) {
+    await loadCachedGames(canonical.map(entry => ({ sport: entry.sport, gameId: String(entry.gameId) })), { fetchMissing: true });
+  }
+
+  const { games } = await loadCachedGames(await listCachedGames());
+  return games
+    .filter(g => g.items.length >= ALGORITHM_CONFIG.thresholds.minDataPoints)
+    .map(g => ({
+      sport: g.ref.sport,
+      gameId: g.ref.gameId,
+      expectedTier: expected.get(`${g.ref.sport}:${g.ref.gameId}`) || null,
+      game: g.game,
+      probs: normalizeProbabilities(g.items)
+    }));
+}
+
+function scoreCorpus(corpus, scorer) {
+  return corpus.map(entry => {
+    const score = scorer.score(entry.probs, entry.game, entry.sport)?.score ?? null;
+    return score == null ? null : { score, tier: getTier(score, entry.sport).cssClass };
+  });
+}
+
+function compare(baseline, perturbed, corpus) {
+  if (perturbed.some(result => result && !Number.isFinite(result.score))) {
+    return { error: 'produced non-numeric scores' };
+  }
+
+  const pairs = [];
+  let tierFlips = 0;
+  let fixed = 0;
+  let broken = 0;
+
+  corpus.forEach((entry, index) => {
+    const from = baseline[index];
+    const to = perturbed[index];
+    if (!from || !to) return;
+    pairs.push([from.score, to.score]);
+    if (from.tier === to.tier) return;
+    tierFlips += 1;
+    if (entry.expectedTier === to.tier) fixed += 1;
+    else if (entry.expectedTier === from.tier) broken += 1;
+  });
+
+  const shifts = pairs.map(([a, b]) => Math.abs(b - a));
+  return {
+    tierFlips,
+    canonicalFixed: fixed,
+    canonicalBroken: broken,
+    meanShift: shifts.length ? round(shifts.reduce((sum, v) => sum + v, 0) / shifts.length) : 0,
+    maxShift: shifts.length ? round(Math.max(...shifts)) : 0,
+    spearman: round(spearman(pairs.map(p => p[0]), pairs.map(p => p[1])) ?? 1, 4)
+  };
+}
+
+function analyzeParameter(param, corpus, scorer, baseline) {
+  const runs = perturbations(param.value).map(value => {
+    try {
+      const perturbed = withConfigPatch(buildPatch(param.path, value), () => scoreCorpus(corpus, scorer));
+      return { value, direction: value < param.value ? 'down' : 'up', ...compare(baseline, perturbed, corpus) };
+    } catch (err) {
+      return { value, direction: value < param.value ? 'down' : 'up', error: err.message };
+    }
+  });
+
+  const ok = runs.filter(run => !run.error);
+  const tierFlips = Math.max(0, ...ok.map(run => run.tierFlips));
+  const maxShift = Math.max(0, ...ok.map(run => run.maxShift));
+  const minSpearman = Math.min(1, ...ok.map(run => run.spearman));
+
+  let impact = 'high';
+  if (!ok.length) impact = 'error';
+  else if (tierFlips === 0 && maxShift === 0) impact = 'dead';
+  else if (tierFlips === 0 && maxShift < LOW_IMPACT_MAX_SHIFT) impact = 'low';
+  else if (tierFlips === 0) impact = 'moderate';
+
+  return { path: param.path, value: param.value, impact, tierFlips, maxShift, minSpearman, runs };
+}
+
+function buildMarkdown(results, corpus) {
+  const byImpact = impact => results.filter(r => r.impact === impact);
+  const ranked = results
+    .filter(r => r.impact === 'high' || r.impact === 'moderate')
+    .sort((a, b) => b.tierFlips - a.tierFlips || a.minSpearman - b.minSpearman);
+  const errors = results.filter(r => r.runs.some(run => run.error));
+  const sports = [...new Set(corpus.map(entry => entry.sport))].sort();
+  const pct = Math.round(DELTA * 100);
+
+  const lines = [
+    `# Config Sensitivity Report - v${ALGORITHM_CONFIG.version}`,
+    `Generated: ${new Date().toISOString()}`,
+    '',
+    '## Summary',
+    `- Corpus: ${corpus.length} cached games (${sports.join(', ')}), ${corpus.filter(e => e.expectedTier).length} canonical`,
+    `- Perturbation: ±${pct}% per parameter, one at a time (integers ±${pct}% rounded, at least 1; zeros +${DELTA})`,
+    `- Time axis: ${ALGORITHM_CONFIG.thresholds.timeResampling.mode}, decision adjustment: ${ALGORITHM_CONFIG.thresholds.decisionPoint.adjustmentMethod}`,
+    `- Parameters tested: ${results.length}`,
+    `- High impact (tier flips): ${byImpact('high').length}, moderate (score shifts ≥ ${LOW_IMPACT_MAX_SHIFT}, no flips): ${byImpact('moderate').length}`,
+    `- Low impact (max |Δ| < ${LOW_IMPACT_MAX_SHIFT}): ${byImpact('low').length}, dead weight (no score changes): ${byImpact('dead').length}`,
+    '',
+    '## Most Influential Parameters',
+    '| Parameter | Value | Tier flips (max) | Canonical fixed / broken per direction | Max \\|Δ\\| | Min Spearman ρ |',
+    '| --- | --- | --- | --- | --- | --- |'
+  ];
+
+  for (const r of ranked) {
+    const canonical = r.runs
+      .filter(run => !run.error)
+      .map(run => `${run.direction}: +${run.canonicalFixed} −${run.canonicalBroken}`)
+      .join(', ');
+    lines.push(`| \`${r.path}\` | ${r.value} | ${r.tierFlips} | ${canonical} | ${formatNumber(r.maxShift)} | ${formatNumber(r.minSpearman, 4)} |`);
+  }
+  if (!ranked.length) lines.push('| _none_ | | | | | |');
+
+  lines.push('', '## Low Impact');
+  const low = byImpact('low');
+  if (low.length) {
+    for (const r of low) lines.push(`- \`${r.path}\` (${r.value}): max |Δ| ${formatNumber(r.maxShift, 3)}`);
+  } else {
+    lines.push('- None');
+  }
+
+  lines.push('', '## Dead Weight');
+  const dead = byImpact('dead');
+  if (dead.length) {
+    lines.push(`No score in the corpus changed at ±${pct}%. Either the parameter is unused under the current settings or the corpus never reaches it (check before removing).`, '');
+    for (const r of dead) lines.push(`- \`${r.path}\` (${r.value})`);
+  } else {
+    lines.push('- None');
+  }
+
+  if (errors.length) {
+    lines.push('', '## Errors');
+    for (const r of errors) {
+      for (const run of r.runs.filter(x => x.error)) lines.push(`- \`${r.path}\` = ${run.value}: ${run.error}`);
+    }
+  }
+
+  lines.push(
+    '',
+    '## Notes',
+    '- Parameters are perturbed one at a time; interactions (e.g. a bonus that only matters once a threshold moves) are not covered.',
+    '- Tier cutoffs flip tiers without changing ranks, so their Spearman ρ stays at 1.',
+    '- Rerun after growing the cache (`--fetch`, or other scripts that cache games) for a broader corpus.'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+async function main() {
+  if (!Number.isFinite(DELTA) || DELTA <= 0 || DELTA >= 1) {
+    console.error('--delta must be a number between 0 and 1');
+    process.exit(1);
+  }
+
+  const corpus = await loadCorpus();
+  if (!corpus.length) {
+    console.error('No cached games to analyze. Run with --fetch first.');
+    process.exit(1);
+  }
+
+  const scorer = getScorer();
+  const sports = [...new Set(corpus.map(entry => entry.sport))];
+  const parameters = [
+    ...SECTIONS.flatMap(section => collectParameters(ALGORITHM_CONFIG[section], section)),
+    ...sports.flatMap(sport => collectParameters(ALGORITHM_CONFIG.sportProfiles[sport], `sportProfiles.${sport}`))
+  ];
+
+  console.log(`Perturbing ${parameters.length} parameters by ±${Math.round(DELTA * 100)}% over ${corpus.length} cached games...`);
+  const baseline = scoreCorpus(corpus, scorer);
+
+  const results = [];
+  for (const [index, param] of parameters.entries()) {
+    results.push(analyzeParameter(param, corpus, scorer, baseline));
+    if ((index + 1) % 25 === 0) console.log(`  ${index + 1}/${parameters.length}`);
+  }
+
+  const counts = Object.fromEntries(['high', 'moderate', 'low', 'dead', 'error'].map(impact => [
+    impact, results.filter(r => r.impact === impact).length
+  ]));
+  console.log(`High: ${counts.high}, moderate: ${counts.moderate}, low: ${counts.low}, dead weight: ${counts.dead}, errors: ${counts.error}`);
+
+  await mkdir(join(ROOT, 'analysis'), { recursive: true });
+  await writeFile(OUTPUT_MD, buildMarkdown(results, corpus), 'utf8');
+  await writeFile(OUTPUT_JSON, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    algorithmVersion: ALGORITHM_CONFIG.version,
+    delta: DELTA,
+    corpus: corpus.length,
+    counts,
+    parameters: results
+  }, null, 2));
+  console.log(`✅ Report written to ${relative(ROOT, OUTPUT_MD)} and ${relative(ROOT, OUTPUT_JSON)}`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
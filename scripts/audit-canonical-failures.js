@@ -115,7 +115,7 @@ async function analyzeGame(game) {
 
     // Get full analysis
     const gameData = await fetchSingleGame(game.sport, game.gameId);
-    const analysis = await analyzeGameEntertainmentDetailed(gameData, game.sport);
+    const analysis = await analyzeGameEntertainmentDetailed(gameData, game.sport, { scoringCheck: true });
 
     if (analysis) {
       console.log(`\nALGORITHM BREAKDOWN:`);
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * Data-quality audit across every static file and every cached probability trace.
+ *
+ * - Static files (public/data): the `dataQuality` each game was published with.
+ *   Files generated before `dataQuality.issueTypes` existed are classified from
+ *   the issue messages.
+ * - Cached traces (analysis/cache/probabilities): repaired and re-checked with
+ *   the current detectDataQualityIssues, plus the repairs made per type.
+ *
+ * Reports the rate of each issue type by sport, week and team, the worst
+ * weeks, teams and games, and the trend against earlier runs. Each run appends
+ * a snapshot to analysis/data-quality-history.json (skip with --no-history).
+ *
+ * Usage:
+ *   npm run audit:data-quality
+ *   npm run audit:data-quality -- --top 30 --min-games 8
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+import { detectDataQualityIssues } from '../api/data-quality.js';
+import { repairProbabilityTrace } from '../api/trace-repair.js';
+import { ALGORITHM_CONFIG } from '../shared/algorithm-config.js';
+import { listCachedGames, readCachedGame } from './lib/probability-cache.js';
+import { listStaticFiles } from './lib/static-data.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const OUTPUT_MD = join(ROOT, 'analysis', 'data-quality-audit.md');
+const OUTPUT_JSON = join(ROOT, 'analysis', 'data-quality-audit-report.json');
+const HISTORY_PATH = join(ROOT, 'analysis', 'data-quality-history.json');
+
+const args = process.argv.slice(2);
+const topIndex = args.indexOf('--top');
+const TOP = topIndex >= 0 ? Number(args[topIndex + 1]) : 20;
+const minGamesIndex = args.indexOf('--min-games');
+const MIN_GAMES = minGamesIndex >= 0 ? Number(args[minGamesIndex + 1]) : 5;
+const WRITE_HISTORY = !args.includes('--no-history');
+const HISTORY_RUNS_SHOWN = 10;
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Issue messages of static files generated before `issueTypes` (api/data-quality.js)
+const LEGACY_ISSUE_PATTERNS = [
+  [/^Insufficient probability data/, 'insufficient-data'],
+  [/^Final win probability is/, 'trailing-noise'],
+  [/but 0 lead changes detected/, 'missing-drama'],
+  [/^One-possession game/, 'low-drama-for-margin'],
+  [/^Overtime game but no late lead changes/, 'ot-no-crossings'],
+  [/^Only \d+ data points/, 'sparse-data'],
+  [/probability data repairs?\b/, 'repaired-trace'],
+  [/^Scoring plays show/, 'scoring-play-mismatch'],
+  [/^No usable win probability data/, 'no-win-probability']
+];
+
+function classifyMessage(message) {
+  return LEGACY_ISSUE_PATTERNS.find(([pattern]) => pattern.test(message))?.[1] || 'other';
+}
+
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function formatPercent(value) {
+  return typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : 'n/a';
+}
+
+function formatDelta(value) {
+  if (typeof value !== 'number') return 'n/a';
+  const points = value * 100;
+  return `${points >= 0 ? '+' : ''}${points.toFixed(1)} pts`;
+}
+
+function createTally() {
+  return { games: 0, flagged: 0, severities: { high: 0, medium: 0, low: 0 }, types: {} };
+}
+
+function addToTally(tally, record) {
+  tally.games += 1;
+  if (!record.severity) return;
+  tally.flagged += 1;
+  tally.severities[record.severity] = (tally.severities[record.severity] || 0) + 1;
+  for (const type of new Set(record.types)) {
+    tally.types[type] = (tally.types[type] || 0) + 1;
+  }
+}
+
+function summarizeTally(tally) {
+  return {
+    games: tally.games,
+    flagged: tally.flagged,
+    flaggedRate: tally.games ? round(tally.flagged / tally.games) : 0,
+    severities: tally.severities,
+    types: Object.fromEntries(
+      Object.entries(tally.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => [type, { count, rate: round(count / tally.games) }])
+    )
+  };
+}
+
+function groupBy(records, keysOf) {
+  const tallies = new Map();
+  for (const record of records) {
+    for (const key of keysOf(record)) {
+      if (!tallies.has(key)) tallies.set(key, createTally());
+      addToTally(tallies.get(key), record);
+    }
+  }
+  return Object.fromEntries([...tallies].sort((a, b) => a[0].localeCompare(b[0])).map(([key, tally]) => [key, summarizeTally(tally)]));
+}
+
+function summarize(records) {
+  const overall = createTally();
+  records.forEach(record => addToTally(overall, record));
+  return {
+    overall: summarizeTally(overall),
+    bySport: groupBy(records, record => [record.sport]),
+    byWeek: groupBy(records, record => [`${record.sport} ${record.season} ${record.week}`]),
+    byTeam: groupBy(records, record => [`${record.sport} ${record.homeTeam}`, `${record.sport} ${record.awayTeam}`])
+  };
+}
+
+// Groups with at least MIN_GAMES games, highest flagged rate first
+function worstGroups(groups) {
+  return Object.entries(groups)
+    .filter(([, summary]) => summary.games >= MIN_GAMES && summary.flagged > 0)
+    .sort((a, b) => b[1].flaggedRate - a[1].flaggedRate || b[1].flagged - a[1].flagged)
+    .slice(0, TOP)
+    .map(([key, summary]) => ({ key, ...summary }));
+}
+
+function worstGames(records) {
+  return records
+    .filter(record => record.severity)
+    .sort((a, b) =>
+      (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) ||
+      b.types.length - a.types.length
+    )
+    .slice(0, TOP);
+}
+
+async function loadStaticRecords() {
+  const files = await listStaticFiles();
+  const records = new Map();
+
+  for (const file of files) {
+    try {
+      const data = JSON.parse(await readFile(file.path, 'utf8'));
+      for (const game of Array.isArray(data.games) ? data.games : []) {
+        const key = `${file.sport}:${game.id}`;
+        // The same game can appear in several files (e.g. week and date views)
+        if (records.has(key)) continue;
+
+        const dataQuality = game.dataQuality;
+        const messages = dataQuality?.issues || [];
+        records.set(key, {
+          sport: file.sport,
+          season: file.season,
+          week: file.key,
+          id: String(game.id),
+          homeTeam: game.homeTeam,
+          awayTeam: game.awayTeam,
+          severity: dataQuality?.warning ? dataQuality.severity : null,
+          types: dataQuality?.issueTypes || messages.map(classifyMessage),
+          issues: messages,
+          file: relative(ROOT, file.path)
+        });
+      }
+    } catch (err) {
+      console.warn(`⚠️  Skipping ${relative(ROOT, file.path)}: ${err.message}`);
+    }
+  }
+
+  return { files: files.length, records: [...records.values()] };
+}
+
+async function loadCacheRecords() {
+  const records = [];
+  const repairTypes = {};
+
+  for (const ref of await listCachedGames()) {
+    const entry = await readCachedGame(ref.sport, ref.gameId);
+    if (!entry) continue;
+
+    const { items, repairs } = repairProbabilityTrace(entry.items, ref.sport);
+    const quality = detectDataQualityIssues(items, entry.game, ref.sport, { repairs });
+    repairs.forEach(repair => {
+      repairTypes[repair.type] = (repairTypes[repair.type] || 0) + 1;
+    });
+
+    records.push({
+      sport: ref.sport,
+      season: entry.game?.date ? entry.game.date.slice(0, 4) : 'unknown',
+      week: entry.game?.date ? entry.game.date.slice(0, 10) : 'unknown',
+      id: ref.gameId,
+      homeTeam: entry.game?.homeTeam || 'Unknown',
+      awayTeam: entry.game?.awayTeam || 'Unknown',
+      severity: quality.hasIssues ? quality.severity : null,
+      types: quality.issues.map(issue => issue.type),
+      issues: quality.issues.map(issue => issue.message),
+      repairs: repairs.length
+    });
+  }
+
+  return { records, repairTypes };
+}
+
+async function loadHistory() {
+  if (!existsSync(HISTORY_PATH)) return [];
+  try {
+    const history = JSON.parse(await readFile(HISTORY_PATH, 'utf8'));
+    return Array.isArray(history) ? history : [];
+  } catch (err) {
+    console.warn(`⚠️  Ignoring unreadable history ${relative(ROOT, HISTORY_PATH)}: ${err.message}`);
+    return [];
+  }
+}
+
+// Compact per-run snapshot kept in the history file
+function buildSnapshot(staticSummary, cacheSummary) {
+  const rates = summary => ({
+    games: summary.overall.games,
+    flaggedRate: summary.overall.flaggedRate,
+    highRate: summary.overall.games ? round(summary.overall.severities.high / summary.overall.games) : 0,
+    types: Object.fromEntries(Object.entries(summary.overall.types).map(([type, value]) => [type, value.rate])),
+    bySport: Object.fromEntries(Object.entries(summary.bySport).map(([sport, value]) => [sport, value.flaggedRate]))
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    algorithmVersion: ALGORITHM_CONFIG.version,
+    static: rates(staticSummary),
+    cache: rates(cacheSummary)
+  };
+}
+
+// Rate changes against the previous snapshot (by issue type and by sport)
+function buildTrend(current, previous) {
+  if (!previous) return null;
+  const deltas = (now = {}, before = {}) => Object.fromEntries(
+    [...new Set([...Object.keys(now), ...Object.keys(before)])]
+      .sort()
+      .map(key => [key, round((now[key] || 0) - (before[key] || 0))])
+  );
+  return {
+    previousRun: previous.generatedAt,
+    previousVersion: previous.algorithmVersion,
+    static: {
+      flaggedRate: round(current.static.flaggedRate - (previous.static?.flaggedRate || 0)),
+      types: deltas(current.static.types, previous.static?.types),
+      bySport: deltas(current.static.bySport, previous.static?.bySport)
+    },
+    cache: {
+      flaggedRate: round(current.cache.flaggedRate - (previous.cache?.flaggedRate || 0)),
+      types: deltas(current.cache.types, previous.cache?.types)
+    }
+  };
+}
+
+function typeColumns(summary) {
+  return Object.keys(summary.overall.types);
+}
+
+function rateTable(groups, types, label) {
+  const lines = [
+    `| ${label} | Games | Flagged | High | ${types.join(' | ')} |`,
+    `|---|---:|---:|---:|${types.map(() => '---:').join('|')}|`
+  ];
+  for (const [key, summary] of groups) {
+    const typeRates = types.map(type => formatPercent(summary.types[type]?.rate ?? 0));
+    const highRate = summary.games ? summary.severities.high / summary.games : 0;
+    lines.push(`| ${key} | ${summary.games} | ${formatPercent(summary.flaggedRate)} | ${formatPercent(highRate)} | ${typeRates.join(' | ')} |`);
+  }
+  return lines;
+}
+
+function buildMarkdown(report, history) {
+  const { static: staticAudit, cache } = report;
+  const lines = [];
+  lines.push('# Data-Quality Audit');
+  lines.push('');
+  lines.push(`Generated: ${report.generatedAt} (algorithm v${report.algorithmVersion})`);
+  lines.push(`Static data: ${staticAudit.summary.overall.games} games from ${staticAudit.files} files. Cached traces: ${cache.summary.overall.games} games.`);
+  lines.push('');
+
+  const staticTypes = typeColumns(staticAudit.summary);
+  lines.push('## Static data by sport');
+  lines.push('');
+  lines.push(...rateTable(Object.entries(staticAudit.summary.bySport), staticTypes, 'Sport'));
+  lines.push('');
+
+  lines.push(`## Worst weeks (at least ${MIN_GAMES} games)`);
+  lines.push('');
+  if (staticAudit.worstWeeks.length === 0) {
+    lines.push('_None flagged._');
+  } else {
+    lines.push(...rateTable(staticAudit.worstWeeks.map(week => [week.key, week]), staticTypes, 'Week'));
+  }
+  lines.push('');
+
+  lines.push(`## Worst teams (at least ${MIN_GAMES} games)`);
+  lines.push('');
+  if (staticAudit.worstTeams.length === 0) {
+    lines.push('_None flagged._');
+  } else {
+    lines.push(...rateTable(staticAudit.worstTeams.map(team => [team.key, team]), staticTypes, 'Team'));
+  }
+  lines.push('');
+
+  lines.push('## Worst games');
+  lines.push('');
+  if (staticAudit.worstGames.length === 0) {
+    lines.push('_None flagged._');
+  } else {
+    lines.push('| Sport | Week | Game | Severity | Issues |');
+    lines.push('|---|---|---|---|---|');
+    for (const game of staticAudit.worstGames) {
+      lines.push(`| ${game.sport} | ${game.season} ${game.week} | ${game.awayTeam} at ${game.homeTeam} (${game.id}) | ${game.severity} | ${game.types.join(', ')} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Cached traces (current checks)');
+  lines.push('');
+  if (cache.summary.overall.games === 0) {
+    lines.push('_No cached traces. Fill the cache with `npm run optimize:config -- --fetch` or `npm run analyze:sensitivity -- --fetch`._');
+  } else {
+    lines.push(...rateTable(Object.entries(cache.summary.bySport), typeColumns(cache.summary), 'Sport'));
+    lines.push('');
+    const repairs = Object.entries(cache.repairTypes);
+    lines.push(repairs.length
+      ? `Repairs made: ${repairs.map(([type, count]) => `${type} ${count}`).join(', ')}.`
+      : 'No repairs were needed.');
+  }
+  lines.push('');
+
+  lines.push('## Trend');
+  lines.push('');
+  if (!report.trend) {
+    lines.push('_First run; trends appear from the next run on._');
+  } else {
+    const { trend } = report;
+    lines.push(`Since ${trend.previousRun} (v${trend.previousVersion}): static flagged rate ${formatDelta(trend.static.flaggedRate)}, cached ${formatDelta(trend.cache.flaggedRate)}.`);
+    const changed = Object.entries(trend.static.types).filter(([, delta]) => delta !== 0);
+    if (changed.length > 0) {
+      lines.push('');
+      lines.push(`Static issue rates: ${changed.map(([type, delta]) => `${type} ${formatDelta(delta)}`).join(', ')}.`);
+    }
+  }
+  lines.push('');
+  if (history.length > 0) {
+    lines.push('| Run | Version | Static games | Static flagged | Static high | Cached games | Cached flagged |');
+    lines.push('|---|---|---:|---:|---:|---:|---:|');
+    for (const run of history.slice(-HISTORY_RUNS_SHOWN)) {
+      lines.push(`| ${run.generatedAt} | v${run.algorithmVersion} | ${run.static.games} | ${formatPercent(run.static.flaggedRate)} | ${formatPercent(run.static.highRate)} | ${run.cache.games} | ${formatPercent(run.cache.flaggedRate)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  console.log('Scanning static data and cached traces...');
+  const staticData = await loadStaticRecords();
+  const cacheData = await loadCacheRecords();
+
+  const staticSummary = summarize(staticData.records);
+  const cacheSummary = summarize(cacheData.records);
+  const history = await loadHistory();
+  const snapshot = buildSnapshot(staticSummary, cacheSummary);
+
+  const report = {
+    generatedAt: snapshot.generatedAt,
+    algorithmVersion: ALGORITHM_CONFIG.version,
+    options: { top: TOP, minGames: MIN_GAMES },
+    static: {
+      files: staticData.files,
+      summary: staticSummary,
+      worstWeeks: worstGroups(staticSummary.byWeek),
+      worstTeams: worstGroups(staticSummary.byTeam),
+      worstGames: worstGames(staticData.records)
+    },
+    cache: {
+      summary: cacheSummary,
+      repairTypes: cacheData.repairTypes,
+      worstGames: worstGames(cacheData.records)
+    },
+    trend: buildTrend(snapshot, history[history.length - 1])
+  };
+
+  const updatedHistory = [...history, snapshot];
+  await mkdir(join(ROOT, 'analysis'), { recursive: true });
+  await writeFile(OUTPUT_JSON, JSON.stringify(report, null, 2));
+  await writeFile(OUTPUT_MD, buildMarkdown(report, WRITE_HISTORY ? updatedHistory : history), 'utf8');
+  if (WRITE_HISTORY) {
+    await writeFile(HISTORY_PATH, JSON.stringify(updatedHistory, null, 2));
+  }
+
+  console.log(`Static: ${staticSummary.overall.games} games, ${formatPercent(staticSummary.overall.flaggedRate)} flagged`);
+  console.log(`Cached: ${cacheSummary.overall.games} games, ${formatPercent(cacheSummary.overall.flaggedRate)} flagged`);
+  console.log(`✅ Report written to ${relative(ROOT, OUTPUT_MD)} and ${relative(ROOT, OUTPUT_JSON)}`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
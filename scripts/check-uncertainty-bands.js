@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Check that excitementRange measures how sensitive a score is to its WP trace
+ * rather than bias from the perturbations: re-scores synthetic traces (a smooth
+ * blowout and a close back-and-forth game) on every perturbed copy and fails
+ * when the clean blowout does not get a narrow band.
+ *
+ * Usage: node scripts/check-uncertainty-bands.js
+ */
+
+// Importing the calculator registers the GEI scorers
+import '../api/calculator.js';
+import { getScorer, normalizeProbabilities } from '../api/scorers.js';
+import { buildPerturbedTraces, estimateExcitementRange } from '../api/uncertainty.js';
+
+const MAX_BLOWOUT_HALF_WIDTH = 0.3;
+const POINTS_PER_QUARTER = 40;
+
+function buildTrace(valueAt) {
+  const items = [];
+  const total = POINTS_PER_QUARTER * 4;
+  for (let i = 0; i < total; i++) {
+    const period = Math.floor(i / POINTS_PER_QUARTER) + 1;
+    const clock = Math.round(900 * (1 - ((i % POINTS_PER_QUARTER) + 1) / POINTS_PER_QUARTER));
+    items.push({ homeWinPercentage: valueAt(i / (total - 1)), period, clock: { value: clock } });
+  }
+  return items;
+}
+
+const cases = [
+  {
+    name: 'Smooth blowout',
+    game: { id: 'check-blowout', homeTeam: 'Home', awayTeam: 'Away', homeScore: 38, awayScore: 10 },
+    items: buildTrace(t => 0.5 + 0.49 * Math.min(1, t * 1.6)),
+    maxHalfWidth: MAX_BLOWOUT_HALF_WIDTH
+  },
+  {
+    name: 'Close back-and-forth',
+    game: { id: 'check-close', homeTeam: 'Home', awayTeam: 'Away', homeScore: 24, awayScore: 21 },
+    items: buildTrace(t => (t === 1 ? 1 : 0.5 + 0.2 * Math.sin(t * Math.PI * 3) * (1 - t * 0.5)))
+  }
+];
+
+function main() {
+  const scorer = getScorer();
+  let failed = false;
+
+  for (const { name, game, items, maxHalfWidth } of cases) {
+    const scoreTrace = trace => scorer.score(normalizeProbabilities(trace), game, 'NFL')?.score;
+    const score = scoreTrace(items);
+    const perturbed = buildPerturbedTraces(items).map(scoreTrace);
+    const range = estimateExcitementRange(items, score, { scoreTrace });
+
+    console.log(`${name}: ${score} (${range.low}-${range.high}, ±${range.halfWidth})`);
+    console.log(`   Perturbed scores: ${perturbed.join(', ')}`);
+
+    if (maxHalfWidth != null && range.halfWidth > maxHalfWidth) {
+      console.error(`   ❌ Band ±${range.halfWidth} is wider than ±${maxHalfWidth}`);
+      failed = true;
+    }
+  }
+
+  if (failed) process.exit(1);
+  console.log('\n✅ Uncertainty bands look sane');
+}
+
+main();
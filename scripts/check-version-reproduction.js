@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Check that frozen algorithm versions still reproduce their scores: replays
+ * fixed synthetic WP traces through the full pipeline (fetch, repair, scoring)
+ * with each case's `algorithmVersion` and compares the results with the scores
+ * that version's code gave for the same traces. A mismatch means a behavior
+ * change is not behind a config switch that the version's entry in
+ * shared/algorithm-versions.js turns off.
+ *
+ * The traces are served offline by the replay transport (shared/http-transport.js)
+ * from a temporary fixtures directory.
+ *
+ * Usage: node scripts/check-version-reproduction.js
+ */
+
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+import { analyzeGameEntertainment } from '../api/calculator.js';
+import { buildProbabilityUrl } from '../shared/espn-api.js';
+import { getFixturePath } from '../shared/http-transport.js';
+
+// Deterministic pseudo-random noise so every run builds the same traces
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+function buildTrace({ periods, pointsPerPeriod, periodSeconds, path, seed, finalValue, finalPeriod }) {
+  const random = seededRandom(seed);
+  const items = [];
+  const total = periods * pointsPerPeriod;
+
+  for (let i = 0; i < total; i++) {
+    const period = Math.floor(i / pointsPerPeriod) + 1;
+    const clock = Math.round(periodSeconds * (1 - ((i % pointsPerPeriod) + 1) / pointsPerPeriod));
+    const value = Math.max(0.01, Math.min(0.99, path(i / (total - 1)) + (random() - 0.5) * 0.03));
+    items.push({
+      homeWinPercentage: Math.round(value * 1000) / 1000,
+      period,
+      clock: { value: clock, displayValue: `${Math.floor(clock / 60)}:${String(clock % 60).padStart(2, '0')}` },
+      play: { $ref: `play-${i}` }
+    });
+  }
+
+  items.push({
+    homeWinPercentage: finalValue,
+    period: finalPeriod ?? periods,
+    clock: { value: 0, displayValue: '0:00' },
+    play: { $ref: 'final' }
+  });
+  return items;
+}
+
+function withSpike(items, index, value) {
+  return items.map((item, i) => (i === index ? { ...item, homeWinPercentage: value } : item));
+}
+
+// MLB path: home leads entering the 9th with `enter` WP and sags by up to `dip`
+// during the 9th before the final play
+function ninthInningDip(enter, dip) {
+  const eighth = 0.55 + 0.03 * Math.sin(8.4);
+  return t => {
+    if (t < 0.7) return 0.55 + 0.03 * Math.sin(t * 12);
+    if (t < 0.89) return eighth + (enter - eighth) * (t - 0.7) / 0.19;
+    return enter - dip * Math.sin((t - 0.89) / 0.11 * Math.PI);
+  };
+}
+
+// `expected` is the score the `version` code gave each trace
+const CASES = [
+  {
+    name: 'NFL overtime seen only in the WP periods',
+    version: '3.5',
+    sport: 'NFL',
+    game: { id: 'check-3-5-1', homeTeam: 'Home', awayTeam: 'Away', homeScore: 27, awayScore: 24, overtime: false },
+    items: buildTrace({
+      periods: 5, pointsPerPeriod: 40, periodSeconds: 900, seed: 1, finalValue: 1,
+      path: t => (t < 0.8 ? 0.5 + 0.25 * Math.sin(t * 9) : 0.5 + 0.1 * Math.sin(t * 20))
+    }),
+    expected: 7.6
+  },
+  {
+    name: 'NFL with a mid-game spike, away win ending at 0',
+    version: '3.5',
+    sport: 'NFL',
+    game: { id: 'check-3-5-2', homeTeam: 'Home', awayTeam: 'Away', homeScore: 10, awayScore: 24 },
+    items: withSpike(buildTrace({
+      periods: 4, pointsPerPeriod: 45, periodSeconds: 900, seed: 2, finalValue: 0,
+      path: t => 0.6 - 0.5 * t
+    }), 60, 0.97),
+    expected: 8.6
+  },
+  {
+    name: 'NBA close game',
+    version: '3.5',
+    sport: 'NBA',
+    game: { id: 'check-3-5-3', homeTeam: 'Home', awayTeam: 'Away', homeScore: 110, awayScore: 108 },
+    items: buildTrace({
+      periods: 4, pointsPerPeriod: 120, periodSeconds: 720, seed: 3, finalValue: 1,
+      path: t => 0.5 + 0.3 * Math.sin(t * 14) * (1 - t * 0.7)
+    }),
+    expected: 8.3
+  },
+  {
+    name: 'CFB upset of a heavy favorite',
+    version: '3.5',
+    sport: 'CFB',
+    game: { id: 'check-3-5-4', homeTeam: 'Home', awayTeam: 'Away', homeScore: 20, awayScore: 23 },
+    items: buildTrace({
+      periods: 4, pointsPerPeriod: 50, periodSeconds: 900, seed: 4, finalValue: 0,
+      path: t => 0.85 - 0.8 * t * t
+    }),
+    expected: 7.3
+  },
+  {
+    name: 'CBB game',
+    version: '3.5',
+    sport: 'CBB',
+    game: { id: 'check-3-5-5', homeTeam: 'Home', awayTeam: 'Away', homeScore: 70, awayScore: 66 },
+    items: buildTrace({
+      periods: 2, pointsPerPeriod: 150, periodSeconds: 1200, seed: 5, finalValue: 1,
+      path: t => 0.4 + 0.2 * Math.sin(t * 8)
+    }),
+    expected: 8
+  },
+  {
+    name: 'MLB extra innings',
+    version: '3.5',
+    sport: 'MLB',
+    game: { id: 'check-3-5-6', homeTeam: 'Home', awayTeam: 'Away', homeScore: 5, awayScore: 4, overtime: true },
+    items: buildTrace({
+      periods: 10, pointsPerPeriod: 12, periodSeconds: 0, seed: 6, finalValue: 1,
+      path: t => 0.5 + 0.3 * Math.sin(t * 11)
+    }),
+    expected: 8.6
+  },
+  {
+    name: 'MLB home close-out of the 9th (no trailing-or-tied check)',
+    version: '3.6',
+    sport: 'MLB',
+    game: { id: 'check-3-6-1', homeTeam: 'Home', awayTeam: 'Away', homeScore: 4, awayScore: 3 },
+    items: buildTrace({
+      periods: 9, pointsPerPeriod: 12, periodSeconds: 0, seed: 7, finalValue: 1,
+      path: ninthInningDip(0.8, 0.1)
+    }),
+    expected: 7.6
+  },
+  {
+    name: 'MLB walk-off that also earned the save bonus',
+    version: '3.6',
+    sport: 'MLB',
+    game: { id: 'check-3-6-2', homeTeam: 'Home', awayTeam: 'Away', homeScore: 4, awayScore: 3 },
+    items: buildTrace({
+      periods: 9, pointsPerPeriod: 12, periodSeconds: 0, seed: 8, finalValue: 1,
+      path: ninthInningDip(0.75, 0.22)
+    }),
+    expected: 7.8
+  }
+];
+
+async function writeFixtures() {
+  for (const { sport, game, items } of CASES) {
+    const url = `${buildProbabilityUrl(game.id, sport)}?limit=1000&page=1`;
+    const path = getFixturePath(url);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify({
+      url,
+      status: 200,
+      statusText: 'OK',
+      contentType: 'application/json',
+      body: JSON.stringify({ items, pageCount: 1 })
+    }));
+  }
+}
+
+async function main() {
+  const fixturesDir = await mkdtemp(join(tmpdir(), 'gei-version-check-'));
+  process.env.ESPN_HTTP_MODE = 'replay';
+  process.env.ESPN_FIXTURES_DIR = fixturesDir;
+
+  let failed = 0;
+  try {
+    await writeFixtures();
+    console.log(`Replaying ${CASES.length} fixed traces with their frozen algorithm versions...\n`);
+
+    for (const { name, version, sport, game, expected } of CASES) {
+      const result = await analyzeGameEntertainment(game, sport, { algorithmVersion: version });
+      const actual = result?.excitement ?? null;
+      const ok = actual === expected;
+      if (!ok) failed++;
+      console.log(`${ok ? '✅' : '❌'} [${version}] ${name}: ${actual} (expected ${expected})`);
+    }
+  } finally {
+    await rm(fixturesDir, { recursive: true, force: true });
+  }
+
+  if (failed > 0) {
+    console.error(`\n${failed} trace(s) no longer reproduce their frozen-version score`);
+    process.exit(1);
+  }
+  console.log('\n✅ All traces reproduce their frozen-version scores');
+}
+
+main();
@@ -11,7 +11,9 @@ import { fileURLToPath } from 'url';
 
 import { analyzeGameEntertainment } from '../api/calculator.js';
 import { fetchSingleGame } from '../api/fetcher.js';
-import { getTier } from '../shared/algorithm-config.js';
+import { listScorers } from '../api/scorers.js';
+import { getAlgorithmConfig, listAlgorithmVersions } from '../shared/algorithm-versions.js';
+import { ALGORITHM_CONFIG, getTier } from '../shared/algorithm-config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -21,6 +23,41 @@ const DATA_ROOT = join(ROOT, 'public', 'data');
 
 const seasonCache = new Map();
 
+// Optional: --time-axis index|game-time overrides thresholds.timeResampling.mode
+// (on top of --algorithm-version) so both time axes can be benchmarked without
+// editing the config
+const args = process.argv.slice(2);
+const timeAxisIndex = args.indexOf('--time-axis');
+const timeAxis = timeAxisIndex >= 0 ? args[timeAxisIndex + 1] : null;
+if (timeAxis && !['index', 'game-time'].includes(timeAxis)) {
+  console.error(`Invalid --time-axis "${timeAxis}" (expected index or game-time)`);
+  process.exit(1);
+}
+const configPatch = timeAxis ? { thresholds: { timeResampling: { mode: timeAxis } } } : null;
+
+// Optional: --scorer <name> benchmarks any registered scorer; results for
+// non-default scorers (and versions) go to their own CSV so the baseline file is kept
+const scorerIndex = args.indexOf('--scorer');
+const scorerName = scorerIndex >= 0 ? args[scorerIndex + 1] : ALGORITHM_CONFIG.scorers.default;
+if (!listScorers().includes(scorerName)) {
+  console.error(`Invalid --scorer "${scorerName}" (registered: ${listScorers().join(', ')})`);
+  process.exit(1);
+}
+
+// Optional: --algorithm-version <v> scores with a frozen config version
+const versionIndex = args.indexOf('--algorithm-version');
+const algorithmVersion = versionIndex >= 0 ? args[versionIndex + 1] : ALGORITHM_CONFIG.version;
+if (!listAlgorithmVersions().includes(algorithmVersion)) {
+  console.error(`Invalid --algorithm-version "${algorithmVersion}" (available: ${listAlgorithmVersions().join(', ')})`);
+  process.exit(1);
+}
+
+const outputSuffix = [
+  scorerName !== ALGORITHM_CONFIG.scorers.default ? scorerName : null,
+  algorithmVersion !== ALGORITHM_CONFIG.version ? `config-${algorithmVersion}` : null
+].filter(Boolean).join('-');
+const outputPath = outputSuffix ? RESULTS_PATH.replace(/\.csv$/, `-${outputSuffix}.csv`) : RESULTS_PATH;
+
 async function loadCanonicalList() {
   const raw = await readFile(CANONICAL_PATH, 'utf8');
   return JSON.parse(raw);
@@ -94,7 +131,7 @@ async function evaluateGame(entry) {
 
   try {
     const baseGame = await fetchSingleGame(entry.sport, entry.gameId);
-    const analysis = await analyzeGameEntertainment(baseGame, entry.sport);
+    const analysis = await analyzeGameEntertainment(baseGame, entry.sport, { scorer: scorerName, algorithmVersion, configPatch });
 
     if (!analysis) {
       row.note = 'No probability data (analysis returned null)';
@@ -260,7 +297,8 @@ function summarizeResults(rows) {
 
 async function main() {
   const canonical = await loadCanonicalList();
-  console.log(`Benchmarking ${canonical.length} canonical games...`);
+  const effectiveTimeAxis = timeAxis ?? getAlgorithmConfig(algorithmVersion).thresholds.timeResampling.mode;
+  console.log(`Benchmarking ${canonical.length} canonical games (scorer: ${scorerName}, config v${algorithmVersion}, time axis: ${effectiveTimeAxis})...`);
 
   const results = [];
   for (const entry of canonical) {
@@ -332,8 +370,8 @@ async function main() {
   }
 
   const csvOutput = buildCsv(results);
-  await writeFile(RESULTS_PATH, `${csvOutput}\n`, 'utf8');
-  console.log(`\nCSV output saved to ${RESULTS_PATH}`);
+  await writeFile(outputPath, `${csvOutput}\n`, 'utf8');
+  console.log(`\nCSV output saved to ${outputPath}`);
   console.log('\nCSV output:\n');
   console.log(csvOutput);
 }
@@ -26,7 +26,7 @@ async function main() {
   }
   
   const probs = items.map(p => ({
-    value: Math.max(0, Math.min(1, p.homeWinPercentage || 0.5)),
+    value: Math.max(0, Math.min(1, p.homeWinPercentage ?? 0.5)),
     period: p.period || 1
   }));
   
@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Refit the margin-correction parameters from the static data in public/data/.
+ *
+ * - Per-sport regressions (sportProfiles[sport].marginRegression): ordinary
+ *   least squares of excitement on final margin.
+ * - Expected tension/drama lines (bonuses.marginCorrection.expectedTension /
+ *   expectedDrama): least squares of each component on the sport-scaled margin
+ *   (margin / marginScale) over well-rated games in the correction range.
+ * - Deficit normalizers (maxTensionDeficit / maxDramaDeficit): the 90th
+ *   percentile of observed deficits against the refitted lines.
+ *
+ * Fit quality (n, R², RMSE) is reported next to the current parameters scored
+ * on the same games. The proposed values are written as a config patch in the
+ * shape of shared/algorithm-versions.js patches; review it, copy the values
+ * into shared/algorithm-config.js, and freeze the outgoing values as a version
+ * history entry. Static scores already include the current margin correction,
+ * so regenerate and refit once to check the parameters have settled.
+ *
+ * Usage:
+ *   npm run fit:margin-correction
+ *   node scripts/fit-margin-correction.js --min-games 50 --output analysis/fit.json
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { ALGORITHM_CONFIG, getSportProfile } from '../shared/algorithm-config.js';
+import { STATIC_DATA_ROOT, listStaticFiles } from './lib/static-data.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+function printUsage() {
+  console.log(`
+Usage: node scripts/fit-margin-correction.js [options]
+
+Options:
+  --min-games <n>      Smallest per-sport sample that gets refitted (default: 30)
+  --output <path>      Where to write the proposed config patch
+                       (default: analysis/margin-correction-fit.json)
+  --help, -h           Show this help message
+`);
+}
+
+const args = process.argv.slice(2);
+const options = {
+  minGames: 30,
+  output: join(ROOT, 'analysis', 'margin-correction-fit.json')
+};
+
+// Unknown flags are rejected so a typo (or --help) never runs the fit and
+// overwrites the output file
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--min-games' && i + 1 < args.length) {
+    options.minGames = Number(args[++i]);
+  } else if (arg === '--output' && i + 1 < args.length) {
+    options.output = resolve(args[++i]);
+  } else if (arg === '--help' || arg === '-h') {
+    printUsage();
+    process.exit(0);
+  } else {
+    console.error(`Unknown or incomplete argument "${arg}"`);
+    printUsage();
+    process.exit(1);
+  }
+}
+
+const MIN_GAMES = options.minGames;
+const OUTPUT_PATH = options.output;
+
+// Games within this many (scaled) points count as "close" for the reported
+// per-sport component averages, matching the notes in the config
+const CLOSE_MARGIN = 7;
+const DEFICIT_PERCENTILE = 0.9;
+
+async function loadGames() {
+  const files = await listStaticFiles();
+  const games = new Map();
+  const versions = new Set();
+
+  for (const { path: filePath, sport } of files) {
+    try {
+      const data = JSON.parse(await readFile(filePath, 'utf8'));
+      if (data.metadata?.algorithmVersion) versions.add(data.metadata.algorithmVersion);
+
+      for (const game of Array.isArray(data.games) ? data.games : []) {
+        if (
+          typeof game.excitement !== 'number' ||
+          typeof game.homeScore !== 'number' ||
+          typeof game.awayScore !== 'number' ||
+          typeof game.breakdown?.tension !== 'number' ||
+          typeof game.breakdown?.drama !== 'number'
+        ) continue;
+
+        // The same game can appear in several files (e.g. week and date views)
+        games.set(`${sport}:${game.id}`, {
+          sport,
+          margin: Math.abs(game.homeScore - game.awayScore),
+          excitement: game.excitement,
+          tension: game.breakdown.tension,
+          drama: game.breakdown.drama
+        });
+      }
+    } catch (err) {
+      console.warn(`⚠️  Skipping ${filePath}: ${err.message}`);
+    }
+  }
+
+  return { games: [...games.values()], versions: [...versions].sort() };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// R² and RMSE of a line over the given points (R² can go negative for a poor line)
+function evaluateLine({ intercept, slope }, xs, ys) {
+  const meanY = mean(ys);
+  let sse = 0;
+  let sst = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sse += (ys[i] - (intercept + slope * xs[i])) ** 2;
+    sst += (ys[i] - meanY) ** 2;
+  }
+  return {
+    r2: sst > 0 ? round(1 - sse / sst, 3) : null,
+    rmse: round(Math.sqrt(sse / xs.length), 3)
+  };
+}
+
+function fitLine(xs, ys) {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  const slope = den > 0 ? num / den : 0;
+  return { intercept: meanY - slope * meanX, slope };
+}
+
+function fitRegressions(games) {
+  const results = {};
+
+  for (const sport of Object.keys(ALGORITHM_CONFIG.sportProfiles)) {
+    const sportGames = games.filter(g => g.sport === sport);
+    if (!sportGames.length) continue;
+
+    const xs = sportGames.map(g => g.margin);
+    const ys = sportGames.map(g => g.excitement);
+    const current = getSportProfile(sport).marginRegression;
+    const result = {
+      n: sportGames.length,
+      current: { ...current, ...evaluateLine(current, xs, ys) }
+    };
+
+    if (sportGames.length < MIN_GAMES) {
+      results[sport] = { ...result, status: 'insufficient' };
+      continue;
+    }
+
+    const line = fitLine(xs, ys);
+    const proposed = { intercept: round(line.intercept, 2), slope: round(line.slope, 3) };
+    results[sport] = {
+      ...result,
+      proposed: { ...proposed, ...evaluateLine(proposed, xs, ys) },
+      status: 'fitted'
+    };
+  }
+
+  return results;
+}
+
+function scaledMargin(game) {
+  return game.margin / getSportProfile(game.sport).marginScale;
+}
+
+function expected({ base, perMargin, min }, game) {
+  return Math.max(min, base - perMargin * scaledMargin(game));
+}
+
+function fitComponent(key, eligible, reference, current, currentMaxDeficit) {
+  const xs = reference.map(scaledMargin);
+  const ys = reference.map(g => g[key]);
+  const currentLine = { intercept: current.base, slope: -current.perMargin };
+
+  const line = fitLine(xs, ys);
+  // Expectations must not rise with margin; a flat line is the fallback
+  const perMargin = Math.max(0, -line.slope);
+  const base = perMargin > 0 ? line.intercept : mean(ys);
+  const proposed = { base: round(base, 1), perMargin: round(perMargin, 2), min: current.min };
+
+  const deficits = eligible
+    .map(g => expected(proposed, g) - g[key])
+    .filter(deficit => deficit > 0);
+  const maxDeficit = deficits.length
+    ? Math.max(1, Math.round(percentile(deficits, DEFICIT_PERCENTILE) * 2) / 2)
+    : currentMaxDeficit;
+
+  return {
+    current: { ...current, ...evaluateLine(currentLine, xs, ys), maxDeficit: currentMaxDeficit },
+    proposed: {
+      ...proposed,
+      ...evaluateLine({ intercept: proposed.base, slope: -proposed.perMargin }, xs, ys),
+      maxDeficit
+    },
+    deficitsObserved: deficits.length
+  };
+}
+
+function fitDeficits(games) {
+  const config = ALGORITHM_CONFIG.bonuses.marginCorrection;
+
+  // Eligible: within the correction range. Reference: eligible and rated at
+  // least "recommended", i.e. games whose WP data did not look overconfident.
+  const eligible = games.filter(g => scaledMargin(g) <= config.maxCloseMargin);
+  const reference = eligible.filter(g => g.excitement >= getSportProfile(g.sport).tiers.recommended);
+
+  const closeAverages = {};
+  for (const sport of new Set(reference.map(g => g.sport))) {
+    const close = reference.filter(g => g.sport === sport && scaledMargin(g) <= CLOSE_MARGIN);
+    if (!close.length) continue;
+    closeAverages[sport] = {
+      n: close.length,
+      tension: round(mean(close.map(g => g.tension)), 1),
+      drama: round(mean(close.map(g => g.drama)), 1)
+    };
+  }
+
+  const result = { eligible: eligible.length, reference: reference.length, closeAverages };
+  if (reference.length < MIN_GAMES) return { ...result, status: 'insufficient' };
+
+  return {
+    ...result,
+    tension: fitComponent('tension', eligible, reference, config.expectedTension, config.maxTensionDeficit),
+    drama: fitComponent('drama', eligible, reference, config.expectedDrama, config.maxDramaDeficit),
+    status: 'fitted'
+  };
+}
+
+function buildPatch(regressions, deficits) {
+  const patch = {};
+
+  const sportProfiles = {};
+  for (const [sport, fit] of Object.entries(regressions)) {
+    if (fit.status !== 'fitted') continue;
+    sportProfiles[sport] = {
+      marginRegression: { intercept: fit.proposed.intercept, slope: fit.proposed.slope }
+    };
+  }
+  if (Object.keys(sportProfiles).length) patch.sportProfiles = sportProfiles;
+
+  if (deficits.status === 'fitted') {
+    const line = ({ base, perMargin, min }) => ({ base, perMargin, min });
+    patch.bonuses = {
+      marginCorrection: {
+        expectedTension: line(deficits.tension.proposed),
+        expectedDrama: line(deficits.drama.proposed),
+        maxTensionDeficit: deficits.tension.proposed.maxDeficit,
+        maxDramaDeficit: deficits.drama.proposed.maxDeficit
+      }
+    };
+  }
+
+  return patch;
+}
+
+function formatNumber(value, decimals = 3) {
+  return typeof value === 'number' ? value.toFixed(decimals) : 'n/a';
+}
+
+function printReport(regressions, deficits, versions) {
+  console.log('\n📐 MARGIN REGRESSIONS (excitement = intercept + slope × margin)\n');
+  console.log('Sport  n     current (a, b)        R²      RMSE   | proposed (a, b)       R²      RMSE');
+  for (const [sport, fit] of Object.entries(regressions)) {
+    const cur = fit.current;
+    const left = `${sport.padEnd(6)} ${String(fit.n).padEnd(5)} ` +
+      `${formatNumber(cur.intercept, 2)}, ${formatNumber(cur.slope)}`.padEnd(21) +
+      ` ${formatNumber(cur.r2).padStart(6)}  ${formatNumber(cur.rmse)}`;
+    const right = fit.status === 'fitted'
+      ? `${formatNumber(fit.proposed.intercept, 2)}, ${formatNumber(fit.proposed.slope)}`.padEnd(21) +
+        ` ${formatNumber(fit.proposed.r2).padStart(6)}  ${formatNumber(fit.proposed.rmse)}`
+      : `kept (fewer than ${MIN_GAMES} games)`;
+    console.log(`${left} | ${right}`);
+  }
+
+  console.log('\n📉 TENSION / DRAMA EXPECTATIONS (max(min, base - perMargin × margin / marginScale))\n');
+  console.log(`Eligible games: ${deficits.eligible} | well-rated reference games: ${deficits.reference}`);
+  for (const [sport, avg] of Object.entries(deficits.closeAverages)) {
+    console.log(`  ${sport} close (≤${CLOSE_MARGIN * getSportProfile(sport).marginScale}pt, n=${avg.n}): T=${avg.tension}, D=${avg.drama}`);
+  }
+  if (deficits.status === 'fitted') {
+    for (const key of ['tension', 'drama']) {
+      const { current, proposed } = deficits[key];
+      console.log(
+        `  ${key.padEnd(8)} current ${current.base} - ${current.perMargin}m (R² ${formatNumber(current.r2)}, ` +
+        `max deficit ${current.maxDeficit}) → proposed ${proposed.base} - ${proposed.perMargin}m ` +
+        `(R² ${formatNumber(proposed.r2)}, max deficit ${proposed.maxDeficit})`
+      );
+    }
+  } else {
+    console.log(`  Kept current values (fewer than ${MIN_GAMES} reference games)`);
+  }
+
+  if (versions.length > 1) {
+    console.log(`\n⚠️  Data was generated by several algorithm versions (${versions.join(', ')}); regenerate before trusting the fit.`);
+  }
+}
+
+async function main() {
+  if (!existsSync(STATIC_DATA_ROOT)) {
+    console.error(`Data folder not found: ${STATIC_DATA_ROOT}`);
+    process.exit(1);
+  }
+  if (!Number.isFinite(MIN_GAMES) || MIN_GAMES < 2) {
+    console.error('--min-games must be a number of at least 2');
+    process.exit(1);
+  }
+
+  const { games, versions } = await loadGames();
+  if (games.length < 2) {
+    console.error('Not enough games with scores and breakdowns to fit.');
+    process.exit(1);
+  }
+
+  const regressions = fitRegressions(games);
+  const deficits = fitDeficits(games);
+  const patch = buildPatch(regressions, deficits);
+
+  printReport(regressions, deficits, versions);
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    algorithmVersion: ALGORITHM_CONFIG.version,
+    dataAlgorithmVersions: versions,
+    gamesAnalyzed: games.length,
+    minGames: MIN_GAMES,
+    regressions,
+    deficits,
+    patch
+  };
+
+  await mkdir(dirname(OUTPUT_PATH), { recursive: true });
+  await writeFile(OUTPUT_PATH, JSON.stringify(output, null, 2));
+  console.log(`\n✅ Proposed config patch written to ${relative(ROOT, OUTPUT_PATH)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
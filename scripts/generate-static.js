@@ -5,8 +5,20 @@
 
 import { fetchGames } from '../api/fetcher.js';
 import { analyzeGameEntertainment } from '../api/calculator.js';
+import { parseOvertimePeriods } from '../api/game-clock.js';
+import { listScorers } from '../api/scorers.js';
+import { httpFetch } from '../shared/http-transport.js';
 import { ALGORITHM_CONFIG, NFL_PLAYOFF_ROUNDS, isNFLPlayoffRound, getNFLPlayoffRoundKeys } from '../shared/algorithm-config.js';
-import { writeFile, mkdir } from 'fs/promises';
+import {
+  loadRefetchQueue,
+  saveRefetchQueue,
+  syncRefetchQueue,
+  getRefetchReasons,
+  isRefetchDue,
+  isRefetchExpired,
+  appendRefetchHistory
+} from './lib/refetch-queue.js';
+import { readFile, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
@@ -25,7 +37,10 @@ const options = {
   date: null,
   all: false,
   force: false,
-  until: null
+  until: null,
+  retryQueue: false,
+  noRetry: false,
+  scorer: ALGORITHM_CONFIG.scorers.default
 };
 
 // NFL playoff round values that should be kept as strings
@@ -49,10 +64,16 @@ for (let i = 0; i < args.length; i++) {
     options.date = args[++i];
   } else if (arg === '--until' && i + 1 < args.length) {
     options.until = args[++i];
+  } else if (arg === '--scorer' && i + 1 < args.length) {
+    options.scorer = args[++i];
   } else if (arg === '--all') {
     options.all = true;
   } else if (arg === '--force') {
     options.force = true;
+  } else if (arg === '--retry-queue') {
+    options.retryQueue = true;
+  } else if (arg === '--no-retry') {
+    options.noRetry = true;
   } else if (arg === '--help' || arg === '-h') {
     printUsage();
     process.exit(0);
@@ -73,6 +94,12 @@ Options:
   --until <YYYY-MM-DD>     End date for NBA --all generation
   --all                    Generate all weeks/dates for the season
   --force                  Overwrite existing files
+  --retry-queue            Only retry queued games (flagged or dropped for missing data)
+                           and patch them into their existing files; --sport optional,
+                           ignores the retry interval
+  --no-retry               Skip the queue retry that follows generation
+  --scorer <name>          Registered scorer to use (default: ${ALGORITHM_CONFIG.scorers.default}).
+                           Other scorers write to public/data/scorers/<name>/
   --help, -h               Show this help message
 
 Examples:
@@ -96,17 +123,40 @@ Examples:
 
   # Generate all NBA dates for season (with force overwrite)
   node scripts/generate-static.js --sport NBA --season 2025 --all --force
+
+  # Retry every queued game now (ESPN backfilled probability data)
+  node scripts/generate-static.js --retry-queue
+
+  # Score a week with an alternative formula, side by side with the default
+  node scripts/generate-static.js --sport NFL --season 2025 --week 1 --scorer swing-sum
 `);
 }
 
 // Validate options
 function validateOptions() {
+  if (options.retryQueue) {
+    if (options.sport && !['NFL', 'CFB', 'NBA'].includes(options.sport)) {
+      console.error('Error: --sport must be NFL, CFB, or NBA');
+      process.exit(1);
+    }
+    if (options.scorer !== ALGORITHM_CONFIG.scorers.default) {
+      console.error('Error: --retry-queue only patches default scorer files');
+      process.exit(1);
+    }
+    return;
+  }
+
   if (!options.sport || !['NFL', 'CFB', 'NBA'].includes(options.sport)) {
     console.error('Error: --sport is required and must be NFL, CFB, or NBA');
     printUsage();
     process.exit(1);
   }
 
+  if (!listScorers().includes(options.scorer)) {
+    console.error(`Error: unknown --scorer "${options.scorer}" (registered: ${listScorers().join(', ')})`);
+    process.exit(1);
+  }
+
   if (!options.season) {
     console.error('Error: --season is required');
     printUsage();
@@ -131,7 +181,11 @@ function validateOptions() {
 // Get file path for static JSON
 function getStaticFilePath(sport, season, weekOrDate) {
   const sportLower = sport.toLowerCase();
-  const dir = join(PUBLIC_DATA_DIR, sportLower, String(season));
+  // Alternative scorers never overwrite the published (default scorer) files
+  const dataDir = options.scorer === ALGORITHM_CONFIG.scorers.default
+    ? PUBLIC_DATA_DIR
+    : join(PUBLIC_DATA_DIR, 'scorers', options.scorer);
+  const dir = join(dataDir, sportLower, String(season));
 
   let filename;
   if (sport === 'NBA' || sport === 'MLB' || sport === 'CBB') {
@@ -170,7 +224,7 @@ async function fetchSummaryShortDetail(sport, gameId) {
   ];
 
   for (const url of urls) {
-    const response = await fetch(url);
+    const response = await httpFetch(url);
     if (!response.ok) continue;
     const data = await response.json();
     const competition = data.header?.competitions?.[0];
@@ -188,11 +242,16 @@ async function applySummaryOvertimeFlags(games, sport) {
       const shortDetail = await fetchSummaryShortDetail(sport, game.id);
       if (shortDetail == null) {
         console.warn(`⚠️  Summary fetch failed for ${game.id}`);
-      } else if (/OT/i.test(shortDetail)) {
-        if (!game.overtime) updated += 1;
-        game.overtime = true;
-      } else if (game.overtime == null) {
-        game.overtime = false;
+      } else {
+        const overtimePeriods = parseOvertimePeriods(shortDetail, sport);
+        if (overtimePeriods > (game.overtimePeriods || 0)) {
+          updated += 1;
+          game.overtime = true;
+          game.overtimePeriods = overtimePeriods;
+        } else if (game.overtime == null) {
+          game.overtime = false;
+          game.overtimePeriods = 0;
+        }
       }
     } catch (error) {
       console.warn(`⚠️  Summary fetch failed for ${game.id}: ${error.message}`);
@@ -208,6 +267,38 @@ async function applySummaryOvertimeFlags(games, sport) {
   return games;
 }
 
+// Metadata counts derived from a file's games (recomputed when games are patched)
+function summarizeGames(validGames) {
+  return {
+    traceRepaired: validGames.filter(game => game.dataRepairs?.length).length,
+    playByPlayScored: validGames.filter(game => game.scoreSource === 'play-by-play').length,
+    dataQualityWarnings: {
+      high: validGames.filter(game => game.dataQuality?.severity === 'high').length,
+      medium: validGames.filter(game => game.dataQuality?.severity === 'medium').length,
+      low: validGames.filter(game => game.dataQuality?.severity === 'low').length
+    }
+  };
+}
+
+function countPostseasonGames(validGames) {
+  return {
+    playoffGames: validGames.filter(g => g.playoffRound !== null).length,
+    bowlGames: validGames.filter(g => g.bowlName !== null && g.playoffRound === null).length
+  };
+}
+
+// Queue flagged and dropped games of a generated week/date for a later retry
+async function queueFlaggedGames(sport, season, weekOrDate, games, analyzedGames) {
+  if (options.scorer !== ALGORITHM_CONFIG.scorers.default) return;
+
+  const entries = await loadRefetchQueue();
+  const { added, removed } = syncRefetchQueue(entries, { sport, season, weekOrDate }, games, analyzedGames);
+  if (added === 0 && removed === 0) return;
+
+  await saveRefetchQueue(entries);
+  console.log(`🔁 Refetch queue: ${added} added, ${removed} resolved (${entries.length} queued)`);
+}
+
 // Generate static JSON for a single week/date
 async function generateStatic(sport, season, weekOrDate) {
   try {
@@ -245,15 +336,17 @@ async function generateStatic(sport, season, weekOrDate) {
     await applySummaryOvertimeFlags(games, sport);
     console.log(`🧮 Analyzing ${games.length} games...`);
 
-    // Analyze each game
+    // Analyze each game (static files always carry key moments)
     const analyzedGames = await Promise.all(
-      games.map(game => analyzeGameEntertainment(game, sport))
+      games.map(game => analyzeGameEntertainment(game, sport, { includeKeyMoments: true, scoringCheck: true, scorer: options.scorer }))
     );
 
     // Filter out null results (games with insufficient data)
     const validGames = analyzedGames.filter(game => game !== null);
     const insufficientDataCount = analyzedGames.length - validGames.length;
 
+    await queueFlaggedGames(sport, season, weekOrDate, games, analyzedGames);
+
     // Sort by excitement score
     validGames.sort((a, b) => (b.excitement || 0) - (a.excitement || 0));
 
@@ -264,8 +357,10 @@ async function generateStatic(sport, season, weekOrDate) {
       count: validGames.length,
       totalGames: analyzedGames.length,
       insufficientData: insufficientDataCount,
+      ...summarizeGames(validGames),
       generatedAt: new Date().toISOString(),
       algorithmVersion: ALGORITHM_CONFIG.version,
+      scorer: options.scorer,
       source: 'ESPN Win Probability Analysis'
     };
 
@@ -276,11 +371,7 @@ async function generateStatic(sport, season, weekOrDate) {
 
       // Add bowl-specific metadata for CFB postseason
       if (sport === 'CFB' && (weekOrDate === 'bowls' || weekOrDate === 'playoffs' || seasonType === '3')) {
-        const playoffGames = validGames.filter(g => g.playoffRound !== null).length;
-        const bowlGames = validGames.filter(g => g.bowlName !== null && g.playoffRound === null).length;
-
-        metadata.playoffGames = playoffGames;
-        metadata.bowlGames = bowlGames;
+        Object.assign(metadata, countPostseasonGames(validGames));
         metadata.seasonType = '3';
       }
 
@@ -314,6 +405,129 @@ async function generateStatic(sport, season, weekOrDate) {
   }
 }
 
+// What the patch history records about a game's score
+function describeGame(game) {
+  if (!game) return null;
+  return {
+    excitement: game.excitement,
+    scoreSource: game.scoreSource || 'win-probability',
+    severity: game.dataQuality?.severity || 'none',
+    issueTypes: game.dataQuality?.issueTypes || []
+  };
+}
+
+// Replace (or add) one game in an existing week/date file and refresh its metadata
+async function patchStaticFile(entry, analyzed) {
+  const { filepath } = getStaticFilePath(entry.sport, entry.season, entry.weekOrDate);
+  if (!existsSync(filepath)) return { missing: true };
+
+  const data = JSON.parse(await readFile(filepath, 'utf8'));
+  const games = data.games || [];
+  const index = games.findIndex(game => String(game.id) === entry.gameId);
+  const previous = index >= 0 ? games[index] : null;
+
+  if (previous && JSON.stringify(previous) === JSON.stringify(analyzed)) {
+    return { changed: false, previous };
+  }
+
+  if (index >= 0) games[index] = analyzed;
+  else games.push(analyzed);
+  games.sort((a, b) => (b.excitement || 0) - (a.excitement || 0));
+
+  const metadata = data.metadata;
+  metadata.count = games.length;
+  metadata.totalGames = Math.max(metadata.totalGames || 0, games.length);
+  metadata.insufficientData = metadata.totalGames - games.length;
+  Object.assign(metadata, summarizeGames(games));
+  if (metadata.playoffGames != null) Object.assign(metadata, countPostseasonGames(games));
+  metadata.patchedAt = new Date().toISOString();
+
+  await writeFile(filepath, JSON.stringify({ ...data, games, metadata }, null, 2), 'utf8');
+  return { changed: true, previous };
+}
+
+// Retry queued games and patch the results into their existing files
+async function retryRefetchQueue(sport, { ignoreInterval = false } = {}) {
+  const entries = await loadRefetchQueue();
+  const now = new Date();
+  const candidates = entries.filter(entry => !sport || entry.sport === sport);
+  if (candidates.length === 0) return;
+
+  console.log(`\n🔁 Retrying refetch queue (${candidates.length} ${sport || 'queued'} games)...`);
+
+  const history = [];
+  const done = new Set();
+  const results = { retried: 0, patched: 0, resolved: 0, abandoned: 0 };
+
+  for (const entry of candidates) {
+    const record = {
+      at: now.toISOString(),
+      sport: entry.sport,
+      season: entry.season,
+      weekOrDate: entry.weekOrDate,
+      gameId: entry.gameId,
+      reasons: entry.reasons
+    };
+
+    if (isRefetchExpired(entry, now)) {
+      done.add(entry);
+      results.abandoned++;
+      history.push({ ...record, action: 'abandoned', attempts: entry.attempts });
+      continue;
+    }
+    if (!isRefetchDue(entry, now, ignoreInterval)) continue;
+
+    results.retried++;
+    entry.attempts += 1;
+    entry.lastAttemptAt = now.toISOString();
+
+    try {
+      const analyzed = await analyzeGameEntertainment(entry.game, entry.sport, { includeKeyMoments: true, scoringCheck: true });
+      if (!analyzed) continue;
+
+      const patch = await patchStaticFile(entry, analyzed);
+      if (patch.missing) {
+        done.add(entry);
+        results.abandoned++;
+        history.push({ ...record, action: 'file-missing', attempts: entry.attempts });
+        continue;
+      }
+
+      const reasons = getRefetchReasons(analyzed);
+      const resolved = reasons.length === 0;
+      if (resolved) {
+        done.add(entry);
+        results.resolved++;
+      } else {
+        entry.reasons = reasons;
+      }
+
+      if (patch.changed) {
+        results.patched++;
+        history.push({
+          ...record,
+          action: resolved ? 'resolved' : 'patched',
+          attempts: entry.attempts,
+          before: describeGame(patch.previous),
+          after: describeGame(analyzed)
+        });
+        console.log(`🩹 Patched ${entry.sport} ${entry.season} ${entry.weekOrDate} game ${entry.gameId}${resolved ? ' (resolved)' : ''}`);
+      } else if (resolved) {
+        history.push({ ...record, action: 'resolved', attempts: entry.attempts });
+      }
+    } catch (error) {
+      console.warn(`⚠️  Retry failed for ${entry.sport} game ${entry.gameId}: ${error.message}`);
+    }
+  }
+
+  if (results.retried > 0 || done.size > 0) {
+    await saveRefetchQueue(entries.filter(entry => !done.has(entry)));
+    await appendRefetchHistory(history);
+  }
+
+  console.log(`   Retried: ${results.retried}, patched: ${results.patched}, resolved: ${results.resolved}, abandoned: ${results.abandoned}`);
+}
+
 // Generate all weeks for NFL (1-18 + playoffs) or CFB (1-15 + bowls + playoffs)
 async function generateAllWeeks(sport, season) {
   const maxWeek = sport === 'NFL' ? 18 : 15;
@@ -422,7 +636,9 @@ async function main() {
 
   console.log(`\n🏈 Game Excitement Tracker - Static Data Generator\n`);
 
-  if (options.all) {
+  if (options.retryQueue) {
+    await retryRefetchQueue(options.sport, { ignoreInterval: true });
+  } else if (options.all) {
     if (options.sport === 'NBA' || options.sport === 'MLB' || options.sport === 'CBB') {
       await generateAllNBADates(options.season);
     } else {
@@ -433,6 +649,10 @@ async function main() {
     await generateStatic(options.sport, options.season, weekOrDate);
   }
 
+  if (!options.retryQueue && !options.noRetry && options.scorer === ALGORITHM_CONFIG.scorers.default) {
+    await retryRefetchQueue(options.sport);
+  }
+
   console.log(`\n✨ Done!\n`);
 }
 
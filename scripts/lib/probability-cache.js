@@ -0,0 +1,109 @@
+/**
+ * Offline probability cache for analysis scripts.
+ *
+ * Stores the fetcher's game object and the raw ESPN probability items for each
+ * game under analysis/cache/probabilities/<sport>/<gameId>.json, so tuning and
+ * audit scripts can re-score a corpus as often as they like without hitting
+ * ESPN. Scripts read the cache by default and only fetch when asked (--fetch).
+ * Items are repaired (api/trace-repair.js) on load, so cached traces always go
+ * through the current repair stage.
+ */
+
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { fetchSingleGame } from '../../api/fetcher.js';
+import { repairProbabilityTrace } from '../../api/trace-repair.js';
+import { fetchRawProbabilities } from '../../shared/espn-api.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const CACHE_ROOT = join(__dirname, '..', '..', 'analysis', 'cache', 'probabilities');
+
+function cachePath(sport, gameId) {
+  return join(CACHE_ROOT, sport.toLowerCase(), `${gameId}.json`);
+}
+
+/**
+ * Reads one cached game.
+ * @param {string} sport - Sport type
+ * @param {string} gameId - ESPN game ID
+ * @returns {Promise<Object|null>} { sport, gameId, fetchedAt, game, items }, or null when not cached
+ */
+export async function readCachedGame(sport, gameId) {
+  const path = cachePath(sport, gameId);
+  if (!existsSync(path)) return null;
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+/**
+ * Fetches a game and its raw probability items from ESPN and caches them.
+ * Games without probability data are cached too (items: null) so they are not
+ * refetched on every run.
+ * @param {string} sport - Sport type
+ * @param {string} gameId - ESPN game ID
+ * @returns {Promise<Object>} Cached entry
+ */
+export async function fetchAndCacheGame(sport, gameId) {
+  const game = await fetchSingleGame(sport, gameId);
+  const items = await fetchRawProbabilities(gameId, sport);
+  const entry = { sport, gameId: String(gameId), fetchedAt: new Date().toISOString(), game, items };
+
+  const path = cachePath(sport, gameId);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * Loads cached games for a list of { sport, gameId } references.
+ * @param {Array<Object>} refs - Games to load
+ * @param {Object} [options]
+ * @param {boolean} [options.fetchMissing=false] - Fetch and cache games that are not cached yet
+ * @returns {Promise<Object>} { games: [{ ref, game, items, repairs }], missing: [ref] }
+ *   with items already repaired
+ */
+export async function loadCachedGames(refs, { fetchMissing = false } = {}) {
+  const games = [];
+  const missing = [];
+
+  for (const ref of refs) {
+    let entry = await readCachedGame(ref.sport, ref.gameId);
+    if (!entry && fetchMissing) {
+      try {
+        entry = await fetchAndCacheGame(ref.sport, ref.gameId);
+      } catch (err) {
+        console.warn(`⚠️  Could not fetch ${ref.sport} ${ref.gameId}: ${err.message}`);
+      }
+    }
+
+    const { items, repairs } = repairProbabilityTrace(entry?.items, ref.sport);
+    if (items?.length) {
+      games.push({ ref, game: entry.game, items, repairs });
+    } else {
+      missing.push(ref);
+    }
+  }
+
+  return { games, missing };
+}
+
+/**
+ * Lists every cached game reference.
+ * @returns {Promise<Array<Object>>} [{ sport, gameId }]
+ */
+export async function listCachedGames() {
+  if (!existsSync(CACHE_ROOT)) return [];
+
+  const refs = [];
+  for (const sportDir of await readdir(CACHE_ROOT, { withFileTypes: true })) {
+    if (!sportDir.isDirectory()) continue;
+    for (const file of await readdir(join(CACHE_ROOT, sportDir.name))) {
+      if (file.endsWith('.json')) {
+        refs.push({ sport: sportDir.name.toUpperCase(), gameId: file.replace(/\.json$/, '') });
+      }
+    }
+  }
+  return refs;
+}
@@ -0,0 +1,161 @@
+/**
+ * Refetch queue for static data generation.
+ *
+ * ESPN often backfills win probability data hours or days after a game ends,
+ * but generate-static skips existing week/date files. Games that were dropped
+ * (no analysis result) or flagged with one of
+ * `ALGORITHM_CONFIG.refetchQueue.issueTypes` are queued in
+ * analysis/refetch-queue.json; later runs retry just those games and patch the
+ * results into the existing files. Patches, resolved games and abandoned
+ * entries are appended to analysis/refetch-history.json. Both files are
+ * committed with the static data.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { ALGORITHM_CONFIG } from '../../shared/algorithm-config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..', '..');
+export const QUEUE_PATH = join(ROOT_DIR, 'analysis', 'refetch-queue.json');
+export const HISTORY_PATH = join(ROOT_DIR, 'analysis', 'refetch-history.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function readJsonArray(path, key) {
+  if (!existsSync(path)) return [];
+  const data = JSON.parse(await readFile(path, 'utf8'));
+  return Array.isArray(data[key]) ? data[key] : [];
+}
+
+async function writeJson(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+function entryKey(sport, gameId) {
+  return `${sport}:${gameId}`;
+}
+
+/**
+ * Reasons an analysis result should be refetched later.
+ * @param {Object|null} analyzed - analyzeGameEntertainment result
+ * @returns {Array<string>} 'dropped' for a null result, otherwise the game's
+ *   queueable data-quality issue types (empty when the game is fine)
+ */
+export function getRefetchReasons(analyzed) {
+  if (!analyzed) return ['dropped'];
+  const issueTypes = analyzed.dataQuality?.issueTypes || [];
+  return issueTypes.filter(type => ALGORITHM_CONFIG.refetchQueue.issueTypes.includes(type));
+}
+
+/**
+ * Loads the queue.
+ * @returns {Promise<Array<Object>>} Entries: { sport, season, weekOrDate, gameId,
+ *   game, reasons, queuedAt, attempts, lastAttemptAt }
+ */
+export async function loadRefetchQueue() {
+  return readJsonArray(QUEUE_PATH, 'entries');
+}
+
+/**
+ * Saves the queue (sorted by sport, season, week/date and game ID).
+ * @param {Array<Object>} entries - Queue entries
+ */
+export async function saveRefetchQueue(entries) {
+  const sorted = [...entries].sort((a, b) =>
+    a.sport.localeCompare(b.sport) ||
+    a.season - b.season ||
+    String(a.weekOrDate).localeCompare(String(b.weekOrDate), undefined, { numeric: true }) ||
+    String(a.gameId).localeCompare(String(b.gameId))
+  );
+  await writeJson(QUEUE_PATH, { updatedAt: new Date().toISOString(), entries: sorted });
+}
+
+/**
+ * Syncs the queue with a freshly generated week/date: flagged or dropped games
+ * are added (keeping the retry count of games already queued), and queued games
+ * from that week/date that now look fine are removed.
+ * @param {Array<Object>} entries - Queue entries (modified in place)
+ * @param {Object} file - { sport, season, weekOrDate }
+ * @param {Array<Object>} games - Fetcher game objects
+ * @param {Array<Object|null>} analyzedGames - Analysis results, parallel to `games`
+ * @returns {{ added: number, removed: number }}
+ */
+export function syncRefetchQueue(entries, { sport, season, weekOrDate }, games, analyzedGames) {
+  const byKey = new Map(entries.map((entry, index) => [entryKey(entry.sport, entry.gameId), index]));
+  const resolved = new Set();
+  let added = 0;
+
+  games.forEach((game, i) => {
+    const key = entryKey(sport, game.id);
+    const reasons = getRefetchReasons(analyzedGames[i]);
+
+    if (reasons.length === 0) {
+      if (byKey.has(key)) resolved.add(key);
+      return;
+    }
+
+    if (byKey.has(key)) {
+      Object.assign(entries[byKey.get(key)], { season, weekOrDate, game, reasons });
+    } else {
+      entries.push({
+        sport,
+        season,
+        weekOrDate,
+        gameId: String(game.id),
+        game,
+        reasons,
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        lastAttemptAt: null
+      });
+      added += 1;
+    }
+  });
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (resolved.has(entryKey(entries[i].sport, entries[i].gameId))) entries.splice(i, 1);
+  }
+
+  return { added, removed: resolved.size };
+}
+
+/**
+ * Whether an entry is due for a retry (retryIntervalHours after it was queued
+ * or last retried).
+ * @param {Object} entry - Queue entry
+ * @param {Date} now - Current time
+ * @param {boolean} ignoreInterval - Retry even if the last attempt was recent
+ * @returns {boolean}
+ */
+export function isRefetchDue(entry, now = new Date(), ignoreInterval = false) {
+  if (ignoreInterval) return true;
+  const intervalMs = ALGORITHM_CONFIG.refetchQueue.retryIntervalHours * HOUR_MS;
+  return now - new Date(entry.lastAttemptAt || entry.queuedAt) >= intervalMs;
+}
+
+/**
+ * Whether an entry has used up its retries or its time in the queue.
+ * @param {Object} entry - Queue entry
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isRefetchExpired(entry, now = new Date()) {
+  const { maxAttempts, maxAgeDays } = ALGORITHM_CONFIG.refetchQueue;
+  return entry.attempts >= maxAttempts || now - new Date(entry.queuedAt) >= maxAgeDays * 24 * HOUR_MS;
+}
+
+/**
+ * Appends records to the patch history.
+ * @param {Array<Object>} records - { at, sport, season, weekOrDate, gameId,
+ *   action, reasons, before, after }
+ */
+export async function appendRefetchHistory(records) {
+  if (!records.length) return;
+  const history = await readJsonArray(HISTORY_PATH, 'records');
+  await writeJson(HISTORY_PATH, { records: [...history, ...records] });
+}
@@ -0,0 +1,45 @@
+/**
+ * Static data files (public/data/<sport>/<season>/<week-or-date>.json) for
+ * analysis and maintenance scripts.
+ */
+
+import { readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, dirname, join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const STATIC_DATA_ROOT = join(__dirname, '..', '..', 'public', 'data');
+
+async function collectJsonFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // Alternative scorers (generate-static --scorer) are not GEI scores
+      if (entry.name === 'scorers') continue;
+      files.push(...await collectJsonFiles(fullPath));
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Lists every static data file (alternative-scorer files excluded).
+ * @returns {Promise<Array<Object>>} [{ path, sport, season, key }] where `key` is
+ *   the week or date ("week-01", "bowls", "2025-10-02")
+ */
+export async function listStaticFiles() {
+  if (!existsSync(STATIC_DATA_ROOT)) return [];
+
+  const files = await collectJsonFiles(STATIC_DATA_ROOT);
+  return files.sort().map(path => {
+    const [sport, season] = relative(STATIC_DATA_ROOT, path).split(sep);
+    return { path, sport: sport.toUpperCase(), season, key: basename(path, '.json') };
+  });
+}
@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+/**
+ * Search ALGORITHM_CONFIG weights, per-sport tier cutoffs and bonus caps for
+ * candidates that agree with the canonical games (and, optionally, with
+ * community votes) more often than the current config.
+ *
+ * Runs offline against the probability cache (scripts/lib/probability-cache.js);
+ * pass --fetch once to fill it. Candidates are scored with withConfigPatch, so
+ * the config file is never edited. The search is seeded random sampling plus
+ * local mutations of the best candidates so far.
+ *
+ * Objective: canonical tier accuracy + voteWeight × vote agreement. A voted
+ * game agrees when a net-liked game is rated recommended or better, or a
+ * net-disliked game is rated skip.
+ *
+ * Usage:
+ *   node scripts/optimize-config.js --fetch                  # fill the cache once
+ *   npm run optimize:config -- --iterations 400 --seed 7
+ *   npm run optimize:config -- --votes votes.json --vote-weight 0.5 --min-votes 3
+ *
+ * Output: ranked candidates (config patch, accuracy, vote agreement and the
+ * games each one flips relative to the current config) in
+ * analysis/optimizer-report.json.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+// Importing the calculator registers the GEI scorers
+import '../api/calculator.js';
+import { getScorer, listScorers, normalizeProbabilities } from '../api/scorers.js';
+import { withConfigPatch } from '../shared/algorithm-versions.js';
+import { ALGORITHM_CONFIG, getSportProfile, getTier } from '../shared/algorithm-config.js';
+import { loadCachedGames } from './lib/probability-cache.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CANONICAL_PATH = join(ROOT, 'analysis', 'canonical-games.json');
+const OUTPUT_PATH = join(ROOT, 'analysis', 'optimizer-report.json');
+
+const args = process.argv.slice(2);
+function argValue(name, fallback) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+}
+
+const FETCH_MISSING = args.includes('--fetch');
+const ITERATIONS = Number(argValue('--iterations', 300));
+const SEED = Number(argValue('--seed', 1));
+const TOP = Number(argValue('--top', 10));
+const VOTES_PATH = argValue('--votes', null);
+const VOTE_WEIGHT = Number(argValue('--vote-weight', 0.5));
+const MIN_VOTES = Number(argValue('--min-votes', 3));
+const SCORER = argValue('--scorer', ALGORITHM_CONFIG.scorers.default);
+
+// Search space. Weights are sampled independently and normalized to sum to 1;
+// tier cutoffs are searched per sport within ±TIER_SHIFT of the current value.
+const WEIGHT_RANGE = { min: 0.1, max: 0.6 };
+const TIER_SHIFT = 1.0;
+const MIN_TIER_GAP = 0.5; // recommended stays at least this far below mustWatch
+const BONUS_CAPS = [
+  { path: 'bonuses.upset.max', min: 0, max: 1.5 },
+  { path: 'bonuses.comeback.max', min: 0.5, max: 3 },
+  { path: 'bonuses.volatility.max', min: 0.5, max: 2.5 },
+  { path: 'bonuses.overtime.base', min: 0.3, max: 1.5 },
+  { path: 'bonuses.closeGame.margin3orLess', min: 0.5, max: 2.5 },
+  { path: 'bonuses.marginCorrection.maxAlpha', min: 0.2, max: 0.8 }
+];
+const MUTATION_RATE = 0.3;
+const MUTATION_STEP = 0.15; // Share of a parameter's range
+const PARENT_POOL = 5;
+
+// Small seeded PRNG (mulberry32) so searches are repeatable
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// ======= Inputs =======
+
+function parseCsv(content) {
+  const lines = content.trim().split('\n');
+  const headers = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(headers.map((header, index) => [header, values[index] ?? '']));
+  });
+}
+
+function parseCsvLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"' && line[i + 1] === '"') {
+      current += '"';
+      i += 1;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      result.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  result.push(current);
+  return result;
+}
+
+/**
+ * Reads an exported `votes` table (JSON array, { votes: [...] } or CSV with
+ * game_id, sport and vote columns) and nets the votes per game.
+ */
+async function loadVotes(path) {
+  const raw = await readFile(path, 'utf8');
+  let rows;
+  if (path.endsWith('.csv')) {
+    rows = parseCsv(raw);
+  } else {
+    const data = JSON.parse(raw);
+    rows = Array.isArray(data) ? data : data.votes || [];
+  }
+
+  const byGame = new Map();
+  for (const row of rows) {
+    if (!row.game_id || !row.sport || !['up', 'down'].includes(row.vote)) continue;
+    const key = `${row.sport}:${row.game_id}`;
+    const tally = byGame.get(key) || { sport: row.sport, gameId: String(row.game_id), up: 0, down: 0 };
+    tally[row.vote] += 1;
+    byGame.set(key, tally);
+  }
+
+  return [...byGame.values()].filter(t => t.up + t.down >= MIN_VOTES && t.up !== t.down);
+}
+
+async function loadCorpus() {
+  const canonical = JSON.parse(await readFile(CANONICAL_PATH, 'utf8')).filter(entry => entry.expectedTier);
+  const votes = VOTES_PATH ? await loadVotes(resolve(VOTES_PATH)) : [];
+
+  // One entry per game; a canonical game can also carry votes
+  const refs = new Map();
+  for (const entry of canonical) {
+    refs.set(`${entry.sport}:${entry.gameId}`, {
+      sport: entry.sport,
+      gameId: String(entry.gameId),
+      label: entry.label,
+      expectedTier: entry.expectedTier
+    });
+  }
+  for (const tally of votes) {
+    const key = `${tally.sport}:${tally.gameId}`;
+    refs.set(key, { ...(refs.get(key) || { sport: tally.sport, gameId: tally.gameId }), votes: tally });
+  }
+
+  const { games, missing } = await loadCachedGames([...refs.values()], { fetchMissing: FETCH_MISSING });
+  const minDataPoints = ALGORITHM_CONFIG.thresholds.minDataPoints;
+  return {
+    corpus: games
+      .filter(g => g.items.length >= minDataPoints)
+      .map(g => ({ ...g, probs: normalizeProbabilities(g.items) })),
+    missing,
+    voteGames: votes.length
+  };
+}
+
+// ======= Search space =======
+
+function buildSearchSpace(sports) {
+  const space = [
+    ...['tension', 'drama', 'finish'].map(key => ({ path: `weights.${key}`, ...WEIGHT_RANGE })),
+    ...BONUS_CAPS
+  ];
+  for (const sport of sports) {
+    for (const key of ['mustWatch', 'recommended']) {
+      const current = getSportProfile(sport).tiers[key];
+      space.push({ path: `sportProfiles.${sport}.tiers.${key}`, min: current - TIER_SHIFT, max: current + TIER_SHIFT });
+    }
+  }
+  return space;
+}
+
+function currentValues(space) {
+  return Object.fromEntries(space.map(param => [param.path, getPath(ALGORITHM_CONFIG, param.path)]));
+}
+
+function randomValues(space, rng) {
+  return Object.fromEntries(space.map(param => [param.path, param.min + rng() * (param.max - param.min)]));
+}
+
+function mutateValues(values, space, rng) {
+  const mutated = { ...values };
+  const forced = Math.floor(rng() * space.length); // Always change at least one parameter
+  space.forEach((param, index) => {
+    if (index !== forced && rng() >= MUTATION_RATE) return;
+    const step = (rng() * 2 - 1) * MUTATION_STEP * (param.max - param.min);
+    mutated[param.path] = Math.max(param.min, Math.min(param.max, values[param.path] + step));
+  });
+  return mutated;
+}
+
+// Builds a config patch: weights normalized, tier gap enforced, values rounded
+function toPatch(values, sports) {
+  const patch = {};
+  const weightTotal = ['tension', 'drama', 'finish'].reduce((sum, key) => sum + values[`weights.${key}`], 0);
+
+  for (const [path, value] of Object.entries(values)) {
+    setPath(patch, path, round(path.startsWith('weights.') ? value / weightTotal : value));
+  }
+  for (const sport of sports) {
+    const tiers = patch.sportProfiles[sport].tiers;
+    tiers.recommended = round(Math.min(tiers.recommended, tiers.mustWatch - MIN_TIER_GAP));
+  }
+  return patch;
+}
+
+// ======= Evaluation =======
+
+function scoreCorpus(patch, corpus, scorer) {
+  return withConfigPatch(patch, () => corpus.map(entry => {
+    const score = scorer.score(entry.probs, entry.game, entry.ref.sport)?.score ?? null;
+    return score == null ? null : { score, tier: getTier(score, entry.ref.sport).cssClass };
+  }));
+}
+
+function voteAgrees(votes, tier) {
+  return votes.up > votes.down ? tier !== 'skip' : tier === 'skip';
+}
+
+function evaluate(patch, corpus, scorer) {
+  const results = scoreCorpus(patch, corpus, scorer);
+  let canonicalCorrect = 0;
+  let canonicalTotal = 0;
+  let voteAgree = 0;
+  let voteTotal = 0;
+
+  corpus.forEach(({ ref }, index) => {
+    const tier = results[index]?.tier;
+    if (!tier) return;
+    if (ref.expectedTier) {
+      canonicalTotal += 1;
+      if (tier === ref.expectedTier) canonicalCorrect += 1;
+    }
+    if (ref.votes) {
+      voteTotal += 1;
+      if (voteAgrees(ref.votes, tier)) voteAgree += 1;
+    }
+  });
+
+  const accuracy = canonicalTotal ? canonicalCorrect / canonicalTotal : 0;
+  const voteAgreement = voteTotal ? voteAgree / voteTotal : null;
+  return {
+    patch,
+    canonical: { correct: canonicalCorrect, total: canonicalTotal, accuracy: round(accuracy * 100, 1) },
+    votes: voteTotal ? { agree: voteAgree, total: voteTotal, agreement: round(voteAgreement * 100, 1) } : null,
+    objective: round(accuracy + (voteAgreement == null ? 0 : VOTE_WEIGHT * voteAgreement), 4),
+    results
+  };
+}
+
+function flipEffect(wasRight, isRight) {
+  if (wasRight === isRight) return 'unchanged';
+  return isRight ? 'fixed' : 'broken';
+}
+
+// Games whose tier differs from the baseline, and whether that helps
+function findFlips(candidate, baseline, corpus) {
+  const flips = [];
+  corpus.forEach(({ ref }, index) => {
+    const from = baseline.results[index];
+    const to = candidate.results[index];
+    if (!from || !to || from.tier === to.tier) return;
+
+    flips.push({
+      sport: ref.sport,
+      gameId: ref.gameId,
+      label: ref.label || null,
+      expectedTier: ref.expectedTier || null,
+      votes: ref.votes ? { up: ref.votes.up, down: ref.votes.down } : null,
+      from: from.tier,
+      to: to.tier,
+      fromScore: from.score,
+      toScore: to.score,
+      canonicalEffect: ref.expectedTier
+        ? flipEffect(from.tier === ref.expectedTier, to.tier === ref.expectedTier)
+        : null,
+      voteEffect: ref.votes ? flipEffect(voteAgrees(ref.votes, from.tier), voteAgrees(ref.votes, to.tier)) : null
+    });
+  });
+  return flips;
+}
+
+function rankCandidates(candidates) {
+  return [...candidates].sort((a, b) => b.objective - a.objective || a.flipCount - b.flipCount);
+}
+
+// ======= Main =======
+
+async function main() {
+  if (!listScorers().includes(SCORER)) {
+    console.error(`Invalid --scorer "${SCORER}" (registered: ${listScorers().join(', ')})`);
+    process.exit(1);
+  }
+  if (![ITERATIONS, SEED, TOP, VOTE_WEIGHT, MIN_VOTES].every(Number.isFinite)) {
+    console.error('--iterations, --seed, --top, --vote-weight and --min-votes must be numbers');
+    process.exit(1);
+  }
+  if (VOTES_PATH && !existsSync(resolve(VOTES_PATH))) {
+    console.error(`Votes file not found: ${VOTES_PATH}`);
+    process.exit(1);
+  }
+
+  const { corpus, missing, voteGames } = await loadCorpus();
+  if (missing.length) {
+    console.warn(`⚠️  ${missing.length} game(s) not in the probability cache${FETCH_MISSING ? ' or without WP data' : ' (run with --fetch)'}`);
+  }
+  if (!corpus.length) {
+    console.error('No cached games to optimize against. Run with --fetch first.');
+    process.exit(1);
+  }
+
+  const scorer = getScorer(SCORER);
+  const sports = [...new Set(corpus.map(g => g.ref.sport))].sort();
+  const space = buildSearchSpace(sports);
+  const rng = createRng(SEED);
+
+  console.log(`Optimizing over ${corpus.length} cached games (${sports.join(', ')}; ${voteGames} voted), ${ITERATIONS} candidates, seed ${SEED}...`);
+
+  const baseline = evaluate(toPatch(currentValues(space), sports), corpus, scorer);
+  baseline.flipCount = 0;
+  const candidates = [];
+  const seen = new Set([JSON.stringify(baseline.patch)]);
+
+  for (let i = 0; i < ITERATIONS; i++) {
+    // Explore for the first third, then mostly refine the best candidates so far
+    const explore = i < ITERATIONS / 3 || rng() < 0.3 || !candidates.length;
+    const parent = explore ? null : rankCandidates(candidates)[Math.floor(rng() * Math.min(PARENT_POOL, candidates.length))];
+    const values = parent ? mutateValues(parent.values, space, rng) : randomValues(space, rng);
+
+    const patch = toPatch(values, sports);
+    const key = JSON.stringify(patch);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const candidate = evaluate(patch, corpus, scorer);
+    candidate.values = values;
+    candidate.flipCount = findFlips(candidate, baseline, corpus).length;
+    candidates.push(candidate);
+
+    if ((i + 1) % 50 === 0) {
+      const best = rankCandidates(candidates)[0];
+      console.log(`  ${i + 1}/${ITERATIONS}: best ${best.canonical.accuracy}% canonical${best.votes ? `, ${best.votes.agreement}% votes` : ''}`);
+    }
+  }
+
+  const ranked = rankCandidates(candidates)
+    .filter(candidate => candidate.objective >= baseline.objective)
+    .slice(0, TOP)
+    .map((candidate, index) => ({
+      rank: index + 1,
+      objective: candidate.objective,
+      canonical: candidate.canonical,
+      votes: candidate.votes,
+      patch: candidate.patch,
+      flips: findFlips(candidate, baseline, corpus)
+    }));
+
+  console.log(`\nCurrent config: ${baseline.canonical.correct}/${baseline.canonical.total} canonical (${baseline.canonical.accuracy}%)` +
+    (baseline.votes ? `, ${baseline.votes.agree}/${baseline.votes.total} votes (${baseline.votes.agreement}%)` : ''));
+  if (!ranked.length) {
+    console.log('No candidate matched or beat the current config.');
+  }
+  for (const candidate of ranked) {
+    const fixed = candidate.flips.filter(f => f.canonicalEffect === 'fixed' || f.voteEffect === 'fixed').length;
+    const broken = candidate.flips.filter(f => f.canonicalEffect === 'broken' || f.voteEffect === 'broken').length;
+    console.log(
+      `#${candidate.rank} ${candidate.canonical.accuracy}% canonical` +
+      (candidate.votes ? `, ${candidate.votes.agreement}% votes` : '') +
+      ` | ${candidate.flips.length} flips (${fixed} fixed, ${broken} broken)` +
+      ` | weights ${Object.values(candidate.patch.weights).join('/')}`
+    );
+  }
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    algorithmVersion: ALGORITHM_CONFIG.version,
+    scorer: SCORER,
+    seed: SEED,
+    iterations: ITERATIONS,
+    voteWeight: VOTES_PATH ? VOTE_WEIGHT : null,
+    corpus: { games: corpus.length, voted: voteGames, missing: missing.map(ref => `${ref.sport}:${ref.gameId}`) },
+    searchSpace: space,
+    baseline: { objective: baseline.objective, canonical: baseline.canonical, votes: baseline.votes, patch: baseline.patch },
+    candidates: ranked
+  };
+
+  await mkdir(dirname(OUTPUT_PATH), { recursive: true });
+  await writeFile(OUTPUT_PATH, JSON.stringify(output, null, 2));
+  console.log(`\n✅ Ranked candidates written to ${relative(ROOT, OUTPUT_PATH)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -52,7 +52,20 @@ export const ALGORITHM_CONFIG = {
   // the WP-derived score (close margin but low GEI), we blend toward the
   // margin-predicted score proportional to the tension+drama deficit.
   // Derived from regression analysis on 1410 games across 3 sports.
-  version: '3.5',
+  // Version 3.6: Sport-aware bonuses and profiles
+  // - Overtime bonus grows with each additional OT period; OT periods are also
+  //   read from the WP trace (bonuses.overtime.detectFromPeriods)
+  // - MLB uses an innings-based finish model (walk-offs, save situations)
+  // - CBB gets its own profile (halves, margin scale, blowouts) and seed-driven
+  //   upsets; its tiers and regression are provisional until fitted on CBB data
+  // - Upset favorite comes from the pregame WP point instead of an early-game average
+  // Version 3.7: Probability trace repair and play-by-play fallback
+  // - Duplicates, backwards clocks and single-point spikes are fixed before
+  //   scoring (traceRepair.enabled)
+  // - A WP of exactly 0 is scored as 0 instead of being coerced to 0.5
+  // - Games without usable WP are scored from their scoring plays (playByPlay.enabled)
+  // Older versions are frozen in shared/algorithm-versions.js
+  version: '3.7',
 
   scale: { min: 1, max: 10 },
   precision: { decimals: 1 },
@@ -61,17 +74,8 @@ export const ALGORITHM_CONFIG = {
     // Default thresholds (used when sport is not specified)
     mustWatch: { min: 8, label: 'must watch', cssClass: 'must-watch' },
     recommended: { min: 6, label: 'recommended', cssClass: 'recommended' },
-    skip: { min: 0, label: 'skip', cssClass: 'skip' },
-    // Sport-specific overrides (derived from 2024-25 season score distributions)
-    // Target: ~20% must-watch, ~35% recommended, ~45% skip per sport
-    // Tuned against canonical game set to avoid regressions
-    bySport: {
-      NFL: { mustWatch: 8.3, recommended: 6.0 },
-      CFB: { mustWatch: 7.7, recommended: 5.8 },
-      NBA: { mustWatch: 8.5, recommended: 6.5 },
-      MLB: { mustWatch: 8.5, recommended: 6.5 },
-      CBB: { mustWatch: 8.5, recommended: 6.5 }
-    }
+    skip: { min: 0, label: 'skip', cssClass: 'skip' }
+    // Sport-specific thresholds live in sportProfiles[sport].tiers
   },
 
   // Weights for 3-factor model
@@ -95,8 +99,8 @@ export const ALGORITHM_CONFIG = {
     tensionFloor: {
       oneScore: { margin: 3, floor: 4.0 },
       close: { margin: 7, floor: 2.5 },
-      competitive: { margin: 10, floor: 1.5 },
-      nbaMultiplier: 2
+      competitive: { margin: 10, floor: 1.5 }
+      // Margins are in football points; scaled by sportProfiles[sport].marginScale
     },
     finishLogBase: 12,
     finishWalkoff: {
@@ -116,12 +120,6 @@ export const ALGORITHM_CONFIG = {
         tier1: 1.1
       }
     },
-    blowoutMargin: {
-      nflCfb: 21,
-      nba: 18,
-      mlb: 8,
-      cbb: 20
-    },
     competitiveBand: {
       low: 0.30,
       high: 0.70
@@ -175,11 +173,56 @@ export const ALGORITHM_CONFIG = {
         { minLateness: 0.20, score: 3 },
         { minLateness: 0.00, score: 2 }
       ]
+    },
+    // Key moments: ranked list of the swings worth jumping to in a replay
+    // Importance = swing × leverage × kind weight (same leverage as drama)
+    keyMoments: {
+      minSwing: 0.08,     // Ignore swings smaller than 8% WP
+      maxMoments: 5,      // Keep the top N moments per game
+      kindWeights: {
+        'walk-off': 1.5,
+        'comeback-start': 1.3,
+        'lead-change': 1.2,
+        'swing': 1.0
+      }
+    },
+    // Watch start: spoiler-safe entry point for condensed replays
+    // The cumulative tension+drama curve (weighted by `weights`) is scanned for the
+    // earliest point after which `retainedShare` of the game's excitement remains
+    watchStart: {
+      retainedShare: 0.8,     // Start late enough to skip the flat part, early enough to keep 80%
+      leadInPoints: 3,        // Back up a few plays so the viewer has context
+      fromStartProgress: 0.15 // Entry points earlier than this just say "watch from the start"
+    },
+    // Time axis for lateness/time-weighting in tension, drama and decision point
+    // 'index': array position (i / probs.length), the historical behavior
+    // 'game-time': resample onto a uniform grid of elapsed game time built from
+    //   period + clock, so busy stretches and OT don't count as extra lateness
+    timeResampling: {
+      mode: 'index',
+      minGridPoints: 200 // Grid is never coarser than the source data
+    },
+    // Per-period excitement (quarters, halves, innings, OT) for the breakdown bar strip
+    // Each period blends time-in-band (tension) and leverage-weighted swings (drama)
+    periodBreakdown: {
+      dramaLogBase: 4.5, // ~1/4 of the whole-game dramaLogBase (one quarter's worth of swing)
+      minPoints: 2       // Periods with fewer points are skipped
     }
   },
 
   bonuses: {
-    upset: { max: 0.8, threshold: 0.55 },
+    upset: {
+      // Upset model (api/upset.js): pregame WP (first WP point) blended with the
+      // seed-implied WP when the sport profile is seed-driven
+      max: 0.8,
+      threshold: 0.55,         // Favorite must be at least this likely to win
+      fullMagnitudeWP: 0.75,   // Favorite WP at which the upset bonus maxes out
+      // WP points averaged for the pregame expectation:
+      // max(min(maxPoints, floor(n × fraction)), minPoints)
+      pregameWindow: { maxPoints: 1, fraction: 0, minPoints: 1 },
+      seedWeight: 0.5,         // Share of the expectation taken from the seed gap
+      seedLogisticSlope: 0.22  // Seed gap → WP: 1 / (1 + e^(-slope × gap))
+    },
     comeback: {
       max: 2.0,
       minDeficit: 0.35,
@@ -197,7 +240,10 @@ export const ALGORITHM_CONFIG = {
     overtime: {
       // Overtime bonus - OT games are inherently dramatic
       base: 0.8,           // Base bonus for going to OT
-      perAdditionalOT: 0.3 // Bonus per additional OT period
+      perAdditionalOT: 0.3, // Bonus per additional OT period
+      // Also count OT periods from the last WP period, not only the scoreboard
+      // status (feeds the bonus, the OT floor and the finish)
+      detectFromPeriods: true
     },
     closeGame: {
       // Score margin bonus for close final scores
@@ -212,38 +258,311 @@ export const ALGORITHM_CONFIG = {
       // score when ESPN WP data appears overconfident (close margin but flat WP).
       // Only applies upward corrections (never penalizes exciting blowouts).
       //
-      // Per-sport regression parameters (GEI = a + b * margin):
-      // Derived from 2024-25 season data (1410 games)
-      regression: {
-        NFL: { intercept: 8.37, slope: -0.199 },
-        CFB: { intercept: 7.13, slope: -0.114 },
-        NBA: { intercept: 9.00, slope: -0.178 },
-        MLB: { intercept: 9.00, slope: -0.178 },
-        CBB: { intercept: 9.00, slope: -0.178 }
-      },
+      // Per-sport regression parameters (GEI = a + b * margin) live in
+      // sportProfiles[sport].marginRegression (refit: npm run fit:margin-correction)
       // Maximum margin (sport-adjusted) eligible for correction
       // Beyond this, margin is too large for ESPN overconfidence to be the issue
-      maxCloseMargin: 14, // multiplied by 2 for NBA
+      maxCloseMargin: 14, // multiplied by sportProfiles[sport].marginScale
       // Maximum correction blend factor (0-1)
       // At alpha=0.5, the correction closes at most 50% of the residual gap
       maxAlpha: 0.5,
       // Tension + Drama deficit detection
-      // Expected values: T = max(3, 6.5 - margin/(2*f)), D = max(4, 8.5 - margin/(2*f))
+      // Expected values: max(min, base - perMargin * margin / f), f = marginScale
       // Based on well-rated close game averages: NFL T=6.8 D=8.0, CFB T=6.0 D=8.1, NBA T=5.6 D=9.3
+      // Refit from public/data with scripts/fit-margin-correction.js
+      expectedTension: { base: 6.5, perMargin: 0.5, min: 3 },
+      expectedDrama: { base: 8.5, perMargin: 0.5, min: 4 },
+      // Deficits (expected - actual) at which the correction reaches maxAlpha
       maxTensionDeficit: 4,
       maxDramaDeficit: 5
     }
   },
 
+  // Scorer registry (api/scorers.js): which formula produces `excitement`
+  scorers: {
+    default: 'gei',
+    swingSum: { scale: 2.5 },     // Σ|Δp| of ~2-4 maps to 5-10
+    leverageSwing: { scale: 4.0 } // Leverage-weighted sums run ~40% lower
+  },
+
+  // Game archetypes (api/archetype.js); checked in this order, first match wins
+  archetypes: {
+    types: [
+      { key: 'late-collapse', label: 'late collapse' },
+      { key: 'comeback', label: 'comeback' },
+      { key: 'slugfest', label: 'slugfest' },
+      { key: 'thriller', label: 'wire-to-wire thriller' },
+      { key: 'blowout', label: 'blowout' },
+      { key: 'steady', label: 'steady' }
+    ],
+    thresholds: {
+      comebackDeficit: 0.30,         // Winner's WP fell to 20% or lower
+      lateCollapseProgress: 0.75,    // ...after 75% of the game
+      slugfestVolatility: 0.8,       // Volatility bonus (massive swing or 5+ large swings)
+      slugfestLeadChanges: 6,
+      slugfestDrama: 7,
+      thrillerTension: 7,
+      thrillerDecisionLateness: 0.85,
+      blowoutTension: 3,
+      blowoutDecisionLateness: 0.5
+    }
+  },
+
+  // Spoiler-free blurbs (api/summary.js)
+  summary: {
+    backAndForthLeadChanges: 6, // "Back-and-forth all game"
+    someLeadChanges: 3,         // "Plenty of lead changes"
+    bigComebackDeficit: 0.35,   // Winner's WP fell to 15% or lower
+    tightTension: 7,
+    lopsidedTension: 3,
+    lateDecision: 0.9,          // Decision-point lateness (0 = start, 1 = final play)
+    midDecision: 0.6,
+    finalMinuteSeconds: 60
+  },
+
+  // Uncertainty band (excitementRange) around each score, see api/uncertainty.js
+  // halfWidth = sqrt(trace² + dataQuality² + marginCorrection²)
+  uncertainty: {
+    perturbations: {
+      logitScales: [0.85, 1.15], // Flatter / steeper trace (same shape and 50% crossings)
+      logitDrift: 0.1,           // ± slow logit offset (half-sine, zero at both ends)
+      thinningSteps: [2, 3],   // Drop every 2nd / 3rd point
+      tailTrimPoints: 3        // Drop the last few points (post-game noise sensitivity)
+    },
+    dataQualityWidth: { high: 0.8, medium: 0.4, low: 0.2 },
+    marginCorrectionShare: 0.5, // Half of the margin-correction shift counts as uncertainty
+    minHalfWidth: 0.1,
+    // What tiers are based on: 'score' (point estimate), 'low' (conservative,
+    // lower bound) or 'high' (optimistic, upper bound)
+    tierBasis: 'score'
+  },
+
+  // Play-by-play fallback (api/play-by-play.js) for games whose WP feed is
+  // missing or shorter than thresholds.minDataPoints. Scores the scoring
+  // progression on the same tension/drama/finish scale; margins are in
+  // football points (divided by sportProfiles[sport].marginScale)
+  playByPlay: {
+    enabled: true,           // Off: games without usable WP stay unscored (pre-3.7)
+    minScoringPlays: 1,      // No scoring plays at all: the game stays unscored
+    closeMargin: 8,          // Time within one score counts toward tension
+    leadChangePoints: 1.5,   // Drama per lead change
+    tiePoints: 0.75,         // Drama per tie after 0-0
+    lateWindow: 0.2,         // Final share of regulation that counts as late
+    lateCloseMargin: 10,     // Average late margin at which finish reaches 0
+    lateLeadChangeBonus: 2,  // Finish bonus for a lead change or tie in the late window
+    overtimeFinish: 9        // Finish for games that reach overtime
+  },
+
+  // Probability trace repair (api/trace-repair.js), run on the raw ESPN items
+  // before scoring. Every repair is recorded in the game's `dataRepairs`.
+  // Disabled, only trailing noise is filtered and scorers coerce missing or
+  // zero WP values to 0.5 (the pre-3.7 pipeline)
+  traceRepair: {
+    enabled: true,
+    spikeThreshold: 0.25,        // A point this far from both neighbours...
+    spikeReturnTolerance: 0.08,  // ...whose neighbours agree within this is a spike
+    clockTolerance: 1,           // Seconds a clock may run backwards before it is held
+    repairsForMediumSeverity: 5  // Repair count at which the data-quality issue turns medium
+  },
+
+  // Scoring-play cross-check (api/scoring-check.js): lead changes, ties and
+  // late scores in the ESPN summary must show up as WP swings toward the
+  // scoring team. Misses are reported in `dataQuality`; margins are in football
+  // points (divided by sportProfiles[sport].marginScale). Each check costs an
+  // extra ESPN summary request, so it is off by default (live API calls) and
+  // turned on per call with `scoringCheck: true` (static generation, audits)
+  scoringCheck: {
+    enabled: false,
+    windowSeconds: 90,         // WP points this close (game time) to a scoring play belong to it
+    leadChangeSwing: 0.10,     // Minimum WP move for a lead change
+    tieSwing: 0.08,            // ...for a tying score
+    lateScoreSwing: 0.08,      // ...for any other late score in a close game
+    lateWindow: 0.2,           // Final share of regulation (plus overtime) that counts as late
+    lateCloseMargin: 8,        // Late scores only count when the game was within this margin
+    highSeverityMismatches: 2  // Misses at which the data-quality issue turns high
+  },
+
+  // Game list data-quality badges (shared/data-quality-display.js): games at
+  // these severities are hidden by the "hide low confidence" toggle
+  dataQualityDisplay: {
+    lowConfidenceSeverities: ['high', 'medium']
+  },
+
+  // Refetch queue (scripts/lib/refetch-queue.js): ESPN often backfills WP
+  // data hours or days after a game. generate-static queues games dropped for
+  // missing data or flagged with these issue types, retries them on later runs
+  // (at most once per retryIntervalHours) and patches the results into the
+  // existing week/date files. Entries are abandoned after maxAttempts retries
+  // or maxAgeDays in the queue
+  refetchQueue: {
+    issueTypes: ['insufficient-data', 'trailing-noise', 'sparse-data', 'no-win-probability'],
+    retryIntervalHours: 6,
+    maxAttempts: 10,
+    maxAgeDays: 14
+  },
+
+  // Stakes: optional fourth metric for game context (postseason round,
+  // elimination, rivalry). It never changes `excitement`; it yields a
+  // `stakesBonus` the UI adds when "weigh stakes" is on:
+  //   stakesBonus = (stakes / 10) × (excitement / 10) × maxBoost
+  // so a Super Bowl nail-biter outranks an identical Week 3 game, while a
+  // postseason blowout gains almost nothing.
+  stakes: {
+    maxBoost: 1.0,
+    eliminationBonus: 1.5, // Added for single-elimination rounds
+    bowlScore: 3,          // Non-playoff bowl games (not elimination)
+    // Postseason rounds per sport, matched in order (case-insensitive substring
+    // of playoffRound / bracketRound)
+    rounds: {
+      NFL: [
+        { match: ['super bowl'], score: 8.5, elimination: true },
+        { match: ['conference'], score: 7, elimination: true },
+        { match: ['divisional'], score: 5.5, elimination: true },
+        { match: ['wild card'], score: 4.5, elimination: true }
+      ],
+      CFB: [
+        { match: ['championship'], score: 8.5, elimination: true },
+        { match: ['semifinal'], score: 7, elimination: true },
+        { match: ['quarterfinal'], score: 5.5, elimination: true },
+        { match: ['first round'], score: 4.5, elimination: true }
+      ],
+      CBB: [
+        { match: ['first four'], score: 3, elimination: true },
+        { match: ['national championship', 'title game'], score: 8.5, elimination: true },
+        { match: ['final four', 'national semifinal'], score: 7.5, elimination: true },
+        { match: ['elite eight', 'elite 8', 'regional final'], score: 6.5, elimination: true },
+        { match: ['sweet 16', 'sweet sixteen', 'regional semifinal'], score: 5.5, elimination: true },
+        { match: ['second round', '2nd round', 'round of 32'], score: 4.5, elimination: true },
+        { match: ['first round', '1st round', 'round of 64'], score: 4, elimination: true }
+      ]
+    },
+    rivalryScore: 5,           // Regular-season rivalry game
+    rivalryPostseasonBonus: 1, // Rivalry on top of a postseason round
+    // Team names as they appear in game objects (ESPN shortDisplayName)
+    rivalries: {
+      NFL: [['Bears', 'Packers'], ['Cowboys', 'Eagles'], ['Chiefs', 'Raiders'], ['Ravens', 'Steelers'], ['49ers', 'Seahawks'], ['Commanders', 'Cowboys']],
+      CFB: [['Michigan', 'Ohio State'], ['Alabama', 'Auburn'], ['Army', 'Navy'], ['Oklahoma', 'Texas'], ['Florida', 'Georgia'], ['USC', 'Notre Dame'], ['Ole Miss', 'Mississippi St'], ['Oregon', 'Oregon St'], ['Clemson', 'South Carolina'], ['California', 'Stanford'], ['Iowa', 'Iowa State'], ['Minnesota', 'Wisconsin']],
+      NBA: [['Celtics', 'Lakers'], ['Knicks', 'Nets'], ['Celtics', '76ers'], ['Clippers', 'Lakers'], ['Bulls', 'Pistons']],
+      CBB: [['Duke', 'North Carolina'], ['Kansas', 'Missouri'], ['Kentucky', 'Louisville'], ['Indiana', 'Purdue'], ['Michigan', 'Michigan St']],
+      MLB: [['Red Sox', 'Yankees'], ['Cubs', 'Cardinals'], ['Dodgers', 'Giants'], ['Cubs', 'White Sox'], ['Mets', 'Yankees']]
+    }
+  },
+
+  // Sport profiles: everything that differs by sport
+  // - periods: regulation structure and nominal lengths (seconds). Untimed periods
+  //   (innings, college football OT) have no usable clock; their nominal length only
+  //   sets how much game time they occupy on a resampled grid
+  // - tiers: must-watch / recommended cutoffs (derived from 2024-25 score
+  //   distributions; target ~20% must-watch, ~35% recommended, ~45% skip per sport)
+  // - marginScale: how many points of this sport equal one football point when
+  //   judging closeness (close-game bonus, tension floor, margin correction)
+  // - blowoutMargin: margin that, with a flat late game, dampens tension/drama
+  // - blowoutCap: margin beyond which the score is capped at 6.5
+  // - marginRegression: GEI = intercept + slope * margin (margin correction)
+  // - finish: 'clock' (generic) or 'baseball' finish model
+  // - dataQuality: margins and data-point counts for data quality warnings
+  sportProfiles: {
+    NFL: {
+      periods: { regulation: 4, name: 'quarter', periodSeconds: 900, overtimeSeconds: 600, timed: true, timedOvertime: true },
+      tiers: { mustWatch: 8.3, recommended: 6.0 },
+      marginScale: 1,
+      blowoutMargin: 21,
+      blowoutCap: 28,
+      // Derived from 2024-25 season data (1410 games across NFL/CFB/NBA)
+      marginRegression: { intercept: 8.37, slope: -0.199 },
+      finish: { model: 'clock' },
+      dataQuality: { closeMargin: 7, onePossessionMargin: 3, minExpectedPoints: 150 }
+    },
+    CFB: {
+      periods: { regulation: 4, name: 'quarter', periodSeconds: 900, overtimeSeconds: 300, timed: true, timedOvertime: false },
+      tiers: { mustWatch: 7.7, recommended: 5.8 },
+      marginScale: 1,
+      blowoutMargin: 21,
+      blowoutCap: 28,
+      marginRegression: { intercept: 7.13, slope: -0.114 },
+      finish: { model: 'clock' },
+      dataQuality: { closeMargin: 7, onePossessionMargin: 3, minExpectedPoints: 150 }
+    },
+    NBA: {
+      periods: { regulation: 4, name: 'quarter', periodSeconds: 720, overtimeSeconds: 300, timed: true, timedOvertime: true },
+      tiers: { mustWatch: 8.5, recommended: 6.5 },
+      marginScale: 2,
+      blowoutMargin: 18,
+      blowoutCap: 22,
+      marginRegression: { intercept: 9.00, slope: -0.178 },
+      finish: { model: 'clock' },
+      dataQuality: { closeMargin: 10, onePossessionMargin: 3, minExpectedPoints: 200 }
+    },
+    // College basketball: two 20-minute halves, ~70 points per team (vs ~115 in
+    // the NBA), so margins count for more than NBA margins. Seeds drive upset
+    // expectations in the tournament. Provisional, not tuned: the tiers are the
+    // NBA ones and the regression is the NBA line rescaled to CBB margins
+    // (slope × 2 / 1.5). Fitting them on CBB games is tracked as "Fit the CBB
+    // profile" in ALGORITHM_DEPENDENCIES.md.
+    CBB: {
+      periods: { regulation: 2, name: 'half', periodSeconds: 1200, overtimeSeconds: 300, timed: true, timedOvertime: true },
+      tiers: { mustWatch: 8.5, recommended: 6.5 },
+      marginScale: 1.5,
+      blowoutMargin: 20,
+      blowoutCap: 24,
+      marginRegression: { intercept: 9.00, slope: -0.237 },
+      finish: { model: 'clock' },
+      upsets: { seedDriven: true },
+      dataQuality: { closeMargin: 8, onePossessionMargin: 3, minExpectedPoints: 170 }
+    },
+    MLB: {
+      periods: { regulation: 9, name: 'inning', periodSeconds: 1200, overtimeSeconds: 1200, timed: false, timedOvertime: false },
+      tiers: { mustWatch: 8.5, recommended: 6.5 },
+      marginScale: 1,
+      blowoutMargin: 8,
+      blowoutCap: 12,
+      marginRegression: { intercept: 9.00, slope: -0.178 },
+      // Innings instead of a game clock: late-inning closeness/volatility replace the
+      // last-25%-of-plays window, plus walk-offs, save situations and extra innings
+      finish: {
+        model: 'baseball',
+        lateInningStart: 7, // 7th inning onward counts as "late"
+        walkoff: {
+          minSwing: 0.15,   // Final play must move home WP at least this much
+          maxPreWP: 0.85,   // Home WP before the final play (excludes a routine last out)
+          // Home WP the final inning must reach before the final play: the home
+          // team trailed or was tied before its last at-bat (a home team leading
+          // after the top half has already won, so a close-out stays above it).
+          // 1 turns the check off
+          maxNotLeadingWP: 0.6,
+          bonus: 3.0
+        },
+        saveSituation: {
+          // Leader's WP entering the 9th: narrow lead, not a lock
+          minLeadWP: 0.70,
+          maxLeadWP: 0.95,
+          tyingRunWP: 0.65, // Leader dipped to here = tying run reached base / came to bat
+          maxBonus: 1.5,
+          excludeWalkoffs: true // No save bonus for a walk-off (the save was blown)
+        },
+        extraInningBonus: 0.4,   // Per extra inning (every frame is sudden death for the home team)
+        maxExtraInningBonus: 1.2
+      },
+      dataQuality: { closeMargin: 4, onePossessionMargin: 2, minExpectedPoints: 100 }
+    }
+  },
+
   metrics: [
     { key: 'tension', label: 'Tension', description: 'Was there sustained reason to keep watching? (closeness or comeback potential)' },
     { key: 'drama', label: 'Drama', description: 'How much volatility and momentum swings throughout the game.' },
-    { key: 'finish', label: 'Finish', description: 'How dramatic was the ending?' }
+    { key: 'finish', label: 'Finish', description: 'How dramatic was the ending?' },
+    // Optional: shown and used for ranking only when "weigh stakes" is on
+    { key: 'stakes', label: 'Stakes', description: 'What was on the line? (playoff round, elimination, rivalry)', optional: true }
   ]
 };
 
+// Profile for a sport; unknown sports fall back to NFL
+export function getSportProfile(sport) {
+  return ALGORITHM_CONFIG.sportProfiles[sport] || ALGORITHM_CONFIG.sportProfiles.NFL;
+}
+
 export function getTier(score, sport) {
-  const sportThresholds = sport && ALGORITHM_CONFIG.tiers.bySport?.[sport];
+  const sportThresholds = sport && ALGORITHM_CONFIG.sportProfiles[sport]?.tiers;
   const mustWatchMin = sportThresholds?.mustWatch ?? ALGORITHM_CONFIG.tiers.mustWatch.min;
   const recommendedMin = sportThresholds?.recommended ?? ALGORITHM_CONFIG.tiers.recommended.min;
 
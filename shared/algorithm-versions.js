@@ -0,0 +1,164 @@
+// Frozen Algorithm Versions
+// Older scoring configurations kept alongside the current ALGORITHM_CONFIG so
+// scores in old static files (metadata.algorithmVersion) and disputed votes
+// (algorithm_version) can be reproduced and compared.
+//
+// Each entry is a patch against the next newer version, written when that
+// version shipped: to freeze the current config on the next bump, add an entry
+// for it holding only the values the bump changes. Patches are deep-merged
+// (objects merge, arrays and scalars replace), so resolving '3.5' applies the
+// '3.6' and then the '3.5' patch to the current config. Scoring code is shared across versions, so
+// code-path changes sit behind config switches the patches turn off; changes
+// that cannot be switched off are noted per entry. scripts/check-version-reproduction.js
+// checks that '3.5' and '3.6' still reproduce their scores.
+
+import { ALGORITHM_CONFIG } from './algorithm-config.js';
+
+export const ALGORITHM_VERSION_HISTORY = [
+  {
+    version: '3.6',
+    // No trace repair: trailing-noise filter only, missing/zero WP read as 0.5.
+    // No play-by-play fallback: games without usable WP were unscored.
+    patch: {
+      traceRepair: { enabled: false },
+      playByPlay: { enabled: false },
+      sportProfiles: {
+        // MLB walk-offs had no trailing-or-tied check (a home close-out of the
+        // 9th counted) and could also earn the save bonus
+        MLB: {
+          finish: {
+            walkoff: { maxNotLeadingWP: 1 },
+            saveSituation: { excludeWalkoffs: false }
+          }
+        }
+      }
+    }
+  },
+  {
+    version: '3.5',
+    // Not reproducible from config: 3.5 judged the upset result from the
+    // final WP point rather than the final score (identical for completed games)
+    patch: {
+      bonuses: {
+        upset: { pregameWindow: { maxPoints: 10, fraction: 0.1, minPoints: 5 } },
+        // OT came from the scoreboard status only
+        overtime: { perAdditionalOT: 0, detectFromPeriods: false }
+      },
+      sportProfiles: {
+        // CBB shared the NBA basketball numbers; no seed-driven upsets
+        CBB: {
+          marginScale: 2,
+          blowoutMargin: 18,
+          blowoutCap: 22,
+          marginRegression: { intercept: 9.00, slope: -0.178 },
+          upsets: { seedDriven: false },
+          dataQuality: { closeMargin: 10, onePossessionMargin: 3, minExpectedPoints: 200 }
+        },
+        // MLB used the generic clock-based finish
+        MLB: { finish: { model: 'clock' } }
+      }
+    }
+  }
+];
+
+const resolved = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, patch) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Lists every version that can be scored, newest first.
+ * @returns {Array<string>} e.g. ['3.7', '3.6', '3.5']
+ */
+export function listAlgorithmVersions() {
+  return [ALGORITHM_CONFIG.version, ...ALGORITHM_VERSION_HISTORY.map(entry => entry.version)];
+}
+
+/**
+ * Returns the full configuration for a version.
+ * The current version is the live ALGORITHM_CONFIG; older versions are
+ * resolved once from the patch chain and deep-frozen.
+ * @param {string} [version] - Version string (defaults to the current version)
+ * @returns {Object|null} Configuration, or null when the version is unknown
+ */
+export function getAlgorithmConfig(version = ALGORITHM_CONFIG.version) {
+  if (version === ALGORITHM_CONFIG.version) return ALGORITHM_CONFIG;
+  if (resolved.has(version)) return resolved.get(version);
+
+  const index = ALGORITHM_VERSION_HISTORY.findIndex(entry => entry.version === version);
+  if (index === -1) return null;
+
+  let config = structuredClone(ALGORITHM_CONFIG);
+  for (let i = 0; i <= index; i++) {
+    config = deepMerge(config, ALGORITHM_VERSION_HISTORY[i].patch);
+  }
+  config.version = version;
+
+  resolved.set(version, deepFreeze(config));
+  return resolved.get(version);
+}
+
+// Swaps ALGORITHM_CONFIG's top-level sections for `config`'s while `fn` runs
+function withConfig(config, fn) {
+  const current = { ...ALGORITHM_CONFIG };
+  Object.assign(ALGORITHM_CONFIG, config);
+  try {
+    return fn();
+  } finally {
+    Object.assign(ALGORITHM_CONFIG, current);
+  }
+}
+
+/**
+ * Runs a synchronous function with ALGORITHM_CONFIG swapped to another version.
+ *
+ * Scoring modules read ALGORITHM_CONFIG at call time, so swapping its top-level
+ * sections in place is enough. The swap is undone before returning, and since
+ * `fn` is synchronous no other request can observe it; never pass an async
+ * function (fetch first, then score inside the callback).
+ *
+ * @param {string|null|undefined} version - Version to score with (null = current)
+ * @param {Function} fn - Synchronous scoring callback
+ * @returns {*} Whatever `fn` returns
+ */
+export function withAlgorithmVersion(version, fn) {
+  if (!version || version === ALGORITHM_CONFIG.version) return fn();
+
+  const config = getAlgorithmConfig(version);
+  if (!config) {
+    throw new Error(`Unknown algorithm version "${version}" (available: ${listAlgorithmVersions().join(', ')})`);
+  }
+  return withConfig(config, fn);
+}
+
+/**
+ * Runs a synchronous function with a patch deep-merged over the current
+ * ALGORITHM_CONFIG, for scoring candidate configs (optimizer, sensitivity
+ * analysis) without editing the config. Same rules as withAlgorithmVersion.
+ *
+ * @param {Object} patch - Partial config in the ALGORITHM_VERSION_HISTORY patch shape
+ * @param {Function} fn - Synchronous scoring callback
+ * @returns {*} Whatever `fn` returns
+ */
+export function withConfigPatch(patch, fn) {
+  return withConfig(deepMerge(ALGORITHM_CONFIG, patch), fn);
+}
@@ -0,0 +1,44 @@
+/**
+ * Data-quality display helpers shared by the API and the frontend.
+ * Accept both detectDataQualityIssues output (issues as { message }) and the
+ * public `dataQuality` field on games (issues as strings).
+ */
+
+import { ALGORITHM_CONFIG } from './algorithm-config.js';
+
+/**
+ * Format data quality issues for display
+ * @param {Object} dataQuality - detectDataQualityIssues result or a game's `dataQuality`
+ * @returns {string} Human-readable summary
+ */
+export function formatDataQualityWarning(dataQuality) {
+  if (!dataQuality?.hasIssues && !dataQuality?.warning) return '';
+
+  const messages = (dataQuality.issues || []).map(i => (typeof i === 'string' ? i : i.message));
+  return messages.join('; ');
+}
+
+/**
+ * Get warning icon based on severity
+ * @param {string} severity - 'high', 'medium', 'low', or 'none'
+ * @returns {string} Emoji icon
+ */
+export function getDataQualityIcon(severity) {
+  switch (severity) {
+    case 'high': return '⚠️';
+    case 'medium': return '⚡';
+    case 'low': return 'ℹ️';
+    default: return '';
+  }
+}
+
+/**
+ * Whether a game's score is low-confidence (its data-quality severity is one of
+ * `ALGORITHM_CONFIG.dataQualityDisplay.lowConfidenceSeverities`)
+ * @param {Object} game - Game with optional `dataQuality`
+ * @returns {boolean}
+ */
+export function isLowConfidence(game) {
+  const severity = game?.dataQuality?.severity;
+  return Boolean(severity) && ALGORITHM_CONFIG.dataQualityDisplay.lowConfidenceSeverities.includes(severity);
+}
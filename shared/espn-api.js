@@ -3,6 +3,8 @@
  * All scripts should use this module instead of constructing ESPN URLs directly.
  */
 
+import { httpFetch } from './http-transport.js';
+
 /**
  * Resolves sport string to ESPN API sport type and league.
  * @param {string} sport - Sport type (NFL, CFB, NBA)
@@ -36,14 +38,30 @@ export function buildProbabilityUrl(gameId, sport) {
 }
 
 /**
- * Fetches all probability data for a game, handling pagination if needed.
- * ESPN API typically returns 150-230 data points for NFL/CFB and 400-600 for NBA.
+ * Fetches all probability data for a game with trailing noise removed.
+ * Scoring goes through fetchRawProbabilities and repairProbabilityTrace
+ * (api/trace-repair.js) instead, which also fixes mid-game glitches and records
+ * every change.
  *
  * @param {string} gameId - ESPN game ID
  * @param {string} sport - Sport type (NFL, CFB, NBA)
  * @returns {Promise<Array|null>} Array of probability items or null on error
  */
 export async function fetchAllProbabilities(gameId, sport) {
+  const items = await fetchRawProbabilities(gameId, sport);
+  return items ? filterTrailingNoise(items) : null;
+}
+
+/**
+ * Fetches every probability item for a game exactly as ESPN returns them,
+ * handling pagination if needed.
+ * ESPN API typically returns 150-230 data points for NFL/CFB and 400-600 for NBA.
+ *
+ * @param {string} gameId - ESPN game ID
+ * @param {string} sport - Sport type (NFL, CFB, NBA)
+ * @returns {Promise<Array|null>} Array of raw probability items or null on error
+ */
+export async function fetchRawProbabilities(gameId, sport) {
   const baseUrl = buildProbabilityUrl(gameId, sport);
 
   // Use limit=1000 to capture all data points
@@ -56,7 +74,7 @@ export async function fetchAllProbabilities(gameId, sport) {
     const url = `${baseUrl}?limit=1000&page=${page}`;
 
     try {
-      const response = await fetch(url);
+      const response = await httpFetch(url);
       if (!response.ok) {
         if (page === 1) return null; // First page failed
         break; // Subsequent pages may not exist
@@ -86,7 +104,44 @@ export async function fetchAllProbabilities(gameId, sport) {
 
   if (allItems.length === 0) return null;
 
-  return filterTrailingNoise(allItems);
+  return allItems;
+}
+
+/**
+ * Fetches a game's scoring progression from the ESPN summary endpoint, for
+ * scoring games that have no usable win probability data.
+ * Football summaries list `scoringPlays`; basketball and baseball summaries
+ * list every play with a `scoringPlay` flag.
+ *
+ * @param {string} gameId - ESPN game ID
+ * @param {string} sport - Sport type (NFL, CFB, NBA, MLB, CBB)
+ * @returns {Promise<Array|null>} [{ period, clock, homeScore, awayScore }] in game
+ *   order (running score after each scoring play), or null on error
+ */
+export async function fetchScoringProgression(gameId, sport) {
+  const { sportType, league } = resolveSportLeague(sport);
+  const url = `https://site.api.espn.com/apis/site/v2/sports/${sportType}/${league}/summary?event=${gameId}`;
+
+  try {
+    const response = await httpFetch(url);
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const plays = data.scoringPlays?.length
+      ? data.scoringPlays
+      : (data.plays || []).filter(play => play.scoringPlay);
+
+    return plays
+      .filter(play => typeof play.homeScore === 'number' && typeof play.awayScore === 'number')
+      .map(play => ({
+        period: play.period?.number || 1,
+        clock: play.clock,
+        homeScore: play.homeScore,
+        awayScore: play.awayScore
+      }));
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
@@ -0,0 +1,98 @@
+/**
+ * HTTP transport for every ESPN call (API handlers, fetcher, scripts).
+ *
+ * The mode comes from the ESPN_HTTP_MODE environment variable:
+ * - live (default): plain fetch
+ * - record: fetch, then save each response to a fixture file keyed by URL
+ * - replay: serve responses from fixture files only; a URL without a fixture
+ *   fails like a network error, so runs are deterministic and fully offline
+ *
+ * Fixtures live in ESPN_FIXTURES_DIR (default fixtures/http) as
+ * <host>/<hash of URL>.json holding { url, status, statusText, contentType,
+ * body, recordedAt }. They are local recordings and git-ignored.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = join(__dirname, '..', 'fixtures', 'http');
+
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Current transport mode (ESPN_HTTP_MODE, read on every call so scripts and
+ * tests can switch it at runtime).
+ * @returns {string} 'live', 'record' or 'replay'
+ */
+export function getHttpMode() {
+  const mode = (process.env.ESPN_HTTP_MODE || 'live').toLowerCase();
+  if (!HTTP_MODES.includes(mode)) {
+    throw new Error(`Unknown ESPN_HTTP_MODE "${mode}" (expected ${HTTP_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Fixture file for a URL.
+ * @param {string} url - Request URL
+ * @returns {string} Absolute path
+ */
+export function getFixturePath(url) {
+  const root = process.env.ESPN_FIXTURES_DIR ? resolve(process.env.ESPN_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR;
+  const hash = createHash('sha1').update(url).digest('hex');
+  return join(root, new URL(url).host, `${hash}.json`);
+}
+
+// Statuses that must not carry a body (the Response constructor throws)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function toResponse(fixture) {
+  const body = NULL_BODY_STATUSES.includes(fixture.status) ? null : fixture.body;
+  return new Response(body, {
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: fixture.contentType ? { 'content-type': fixture.contentType } : {}
+  });
+}
+
+async function replay(url) {
+  const path = getFixturePath(url);
+  if (!existsSync(path)) {
+    throw new Error(`No recorded response for ${url} (ESPN_HTTP_MODE=replay)`);
+  }
+  return toResponse(JSON.parse(await readFile(path, 'utf8')));
+}
+
+async function record(url, init) {
+  const response = await globalThis.fetch(url, init);
+  const fixture = {
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    contentType: response.headers.get('content-type'),
+    body: await response.text(),
+    recordedAt: new Date().toISOString()
+  };
+
+  const path = getFixturePath(url);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+  return toResponse(fixture);
+}
+
+/**
+ * Drop-in replacement for fetch used for all ESPN requests.
+ * @param {string} url - Request URL (GET)
+ * @param {Object} [init] - fetch options (live and record modes only)
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, init) {
+  const mode = getHttpMode();
+  if (mode === 'replay') return replay(url);
+  if (mode === 'record') return record(url, init);
+  return globalThis.fetch(url, init);
+}
@@ -14,13 +14,14 @@ import {
 } from './utils/dates.js';
 import { loadGames } from './services/api.js';
 import { openBracketView, closeBracketView } from './components/bracket.js';
-import { displayResults, calculatePeriodAverages, createGameRow, attachScoreToggleListener, attachRadarChartListeners } from './components/game-list.js';
-import { renderRadarChart, attachMetricHoverListeners } from './components/radar-chart.js';
+import { displayResults, calculatePeriodAverages, createGameRow, formatOvertimeLabel, formatScoredWith, getGameScore, getTierScore, attachScoreToggleListener, attachRadarChartListeners, attachDataQualityListeners } from './components/game-list.js';
+import { renderRadarChart, renderPeriodStrip, getActiveMetrics, attachMetricHoverListeners } from './components/radar-chart.js';
 import { populateCustomDatePicker } from './components/date-picker.js';
 import { populateWeekPicker } from './components/week-picker.js';
 import { loadTeams, displayTeams, filterTeams, selectTeam, loadSchedule, displaySchedule, loadSingleGame, displaySingleGame, backToWeek, backToSchedule } from './components/team-picker.js';
 import { openExportModal, closeExportModal, attachExportListeners } from './components/export-modal.js';
 import { openTopGames, closeTopGames } from './components/top-games.js';
+import { loadPersonalWeights } from './components/personal-weights.js';
 
 window.ALGORITHM_CONFIG = ALGORITHM_CONFIG;
 window.getTier = getTier;
@@ -37,6 +38,11 @@ window.getTier = getTier;
         window.selectedWeek = null;
         window.selectedDate = getDefaultNBADate(); // For date-based navigation (NBA, MLB)
         window.spoilerFree = localStorage.getItem('spoilerFree') !== 'false';
+        window.includeStakes = localStorage.getItem('includeStakes') === 'true';
+        window.selectedArchetype = 'all';
+        window.hideLowConfidence = localStorage.getItem('hideLowConfidence') === 'true';
+        window.usePersonalWeights = localStorage.getItem('usePersonalWeights') === 'true';
+        window.personalWeights = window.usePersonalWeights ? loadPersonalWeights() : null;
         window.currentGames = null;
         window.periodAverages = null;
         window.isLoading = false;
@@ -411,15 +417,17 @@ window.getTier = getTier;
             const metrics = ALGORITHM_CONFIG.metrics;
             const weights = ALGORITHM_CONFIG.weights;
 
-            // Populate table rows
+            // Populate table rows; optional metrics (stakes) have no weight and
+            // only add a bonus when turned on
             metrics.forEach(metric => {
                 const row = document.createElement('tr');
-                const weight = weights[metric.key];
-                const weightPercent = Math.round(weight * 100);
+                const weightText = metric.optional
+                    ? 'optional bonus'
+                    : `${Math.round(weights[metric.key] * 100)}%`;
 
                 row.innerHTML = `
                     <td style="text-transform: capitalize;">${metric.label}</td>
-                    <td>${weightPercent}%</td>
+                    <td>${weightText}</td>
                     <td>${metric.description}</td>
                 `;
                 tableBody.appendChild(row);
@@ -777,10 +785,16 @@ window.getTier = getTier;
 
         // Expose functions to window for use by imported modules
         window.createGameRow = createGameRow;
+        window.formatOvertimeLabel = formatOvertimeLabel;
+        window.getGameScore = getGameScore;
+        window.getTierScore = getTierScore;
+        window.formatScoredWith = formatScoredWith;
         window.displayResults = displayResults;
         window.displaySchedule = displaySchedule;
         window.displaySingleGame = displaySingleGame;
         window.renderRadarChart = renderRadarChart;
+        window.renderPeriodStrip = renderPeriodStrip;
+        window.getActiveMetrics = getActiveMetrics;
         window.attachMetricHoverListeners = attachMetricHoverListeners;
         window.calculatePeriodAverages = calculatePeriodAverages;
         window.populateCustomDatePicker = populateCustomDatePicker;
@@ -804,6 +818,7 @@ window.getTier = getTier;
         window.showEmpty = showEmpty;
         window.updateUI = updateUI;
         window.attachRadarChartListeners = attachRadarChartListeners;
+        window.attachDataQualityListeners = attachDataQualityListeners;
         window.attachScoreToggleListener = attachScoreToggleListener;
         window.attachVoteListeners = attachVoteListeners;
 
@@ -186,8 +186,8 @@ function renderBracket(games) {
 
     // Stats line
     const totalGames = games.filter(g => normalizeRound(g.bracketRound)).length;
-    const mustWatch = games.filter(g => normalizeRound(g.bracketRound) && window.getTier(g.excitement || 0, 'CBB')?.cssClass === 'must-watch').length;
-    const recommended = games.filter(g => normalizeRound(g.bracketRound) && window.getTier(g.excitement || 0, 'CBB')?.cssClass === 'recommended').length;
+    const mustWatch = games.filter(g => normalizeRound(g.bracketRound) && window.getTier(window.getTierScore(g), 'CBB')?.cssClass === 'must-watch').length;
+    const recommended = games.filter(g => normalizeRound(g.bracketRound) && window.getTier(window.getTierScore(g), 'CBB')?.cssClass === 'recommended').length;
 
     html += `<div class="statistics-line">
         <span class="stat-number">${totalGames}</span> tournament games ·
@@ -277,8 +277,8 @@ function renderBracket(games) {
  * Render a single matchup in the bracket
  */
 function renderMatchup(game) {
-    const score = game.excitement || 0;
-    const tier = window.getTier(score, 'CBB');
+    const score = window.getGameScore(game);
+    const tier = window.getTier(window.getTierScore(game), 'CBB');
     const tierClass = tier.cssClass;
     const displayScore = score % 1 === 0 ? score : score.toFixed(1);
 
@@ -292,7 +292,9 @@ function renderMatchup(game) {
 
     const homeScoreText = shouldShowScores ? game.homeScore : '';
     const awayScoreText = shouldShowScores ? game.awayScore : '';
-    const otText = shouldShowScores && game.overtime ? ' OT' : '';
+    const otLabel = window.formatOvertimeLabel(game, 'CBB');
+    const otText = shouldShowScores && otLabel ? ` ${otLabel}` : '';
+    const upsetText = shouldShowScores && game.upset?.isUpset ? ' <span class="upset-badge">upset</span>' : '';
 
     const geiDisplay = displayScore;
     const geiClass = tierClass;
@@ -309,7 +311,7 @@ function renderMatchup(game) {
                 <span class="bracket-name">${game.homeTeam}</span>
                 <span class="bracket-team-score">${homeScoreText}</span>
             </div>
-            <div class="bracket-gei ${geiClass}">${geiDisplay}${otText}</div>
+            <div class="bracket-gei ${geiClass}">${geiDisplay}${otText}${upsetText}</div>
         </div>
     `;
 }
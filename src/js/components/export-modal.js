@@ -617,7 +617,7 @@ export async function exportFullSeason() {
         }
 
         // Sort by excitement score descending
-        allGames.sort((a, b) => (b.excitement || 0) - (a.excitement || 0));
+        allGames.sort((a, b) => window.getGameScore(b) - window.getGameScore(a));
 
         showExportProgress(1, 1, 'Generating Excel file...');
 
@@ -626,8 +626,8 @@ export async function exportFullSeason() {
 
         // Prepare data for Excel
         const excelData = allGames.map((game, index) => {
-            const rating = game.excitement || 0;
-            const tierObj = window.getTier(rating, sport);
+            const rating = window.getGameScore(game);
+            const tierObj = window.getTier(window.getTierScore(game), sport);
             const tier = tierObj.label.replace(/\b\w/g, c => c.toUpperCase());
 
             // Format week - handle bowls, playoffs, and dates
@@ -661,7 +661,7 @@ export async function exportFullSeason() {
                 'Home Team': game.homeTeam,
                 'Away Score': game.awayScore || 0,
                 'Home Score': game.homeScore || 0,
-                'OT': game.overtime ? 'Yes' : 'No',
+                'OT': window.formatOvertimeLabel(game, sport) || 'No',
                 'Bowl': game.bowlName || '',
                 'Playoff Round': game.playoffRound || ''
             };
@@ -1,4 +1,13 @@
 // Game list display functions
+import { getPersonalScore, renderPersonalWeightsPanel, attachPersonalWeightsListeners } from './personal-weights.js';
+import { formatDataQualityWarning, getDataQualityIcon, isLowConfidence } from '../../../shared/data-quality-display.js';
+
+// Short badge text per data-quality severity
+const DATA_QUALITY_LABELS = {
+    high: 'unreliable data',
+    medium: 'data issues',
+    low: 'minor data issues'
+};
 
 // Display results
 export function displayResults() {
@@ -17,15 +26,33 @@ export function displayResults() {
         }
     }
 
-    // Sort games by excitement score
-    const sortedGames = [...filteredGames].sort((a, b) => (b.excitement || 0) - (a.excitement || 0));
+    // Low-confidence filter: hides games whose data-quality warnings make the
+    // score unreliable (the toggle only shows when there are such games)
+    const hasLowConfidence = filteredGames.some(isLowConfidence);
+    const hiddenCount = window.hideLowConfidence ? filteredGames.filter(isLowConfidence).length : 0;
+    if (window.hideLowConfidence) {
+        filteredGames = filteredGames.filter(g => !isLowConfidence(g));
+    }
+
+    // Archetype filter ("pick by mood"); chips only list archetypes present,
+    // and a selection with no games in the new week falls back to all
+    if (!filteredGames.some(g => g.archetype?.key === window.selectedArchetype)) {
+        window.selectedArchetype = 'all';
+    }
+    const archetypeChips = renderArchetypeFilter(filteredGames);
+    if (window.selectedArchetype !== 'all') {
+        filteredGames = filteredGames.filter(g => g.archetype?.key === window.selectedArchetype);
+    }
+
+    // Sort games by excitement score (plus stakes when weighed)
+    const sortedGames = [...filteredGames].sort((a, b) => getGameScore(b) - getGameScore(a));
     console.log('🎯 sortedGames length:', sortedGames.length);
 
     // Calculate statistics using sport-specific tier thresholds
     const stats = {
-        mustWatch: sortedGames.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'must-watch').length,
-        recommended: sortedGames.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'recommended').length,
-        skip: sortedGames.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'skip').length
+        mustWatch: sortedGames.filter(g => window.getTier(getTierScore(g), window.selectedSport)?.cssClass === 'must-watch').length,
+        recommended: sortedGames.filter(g => window.getTier(getTierScore(g), window.selectedSport)?.cssClass === 'recommended').length,
+        skip: sortedGames.filter(g => window.getTier(getTierScore(g), window.selectedSport)?.cssClass === 'skip').length
     };
 
     // Build HTML
@@ -35,9 +62,12 @@ export function displayResults() {
     html += `<div class="statistics-line">
         <span class="stat-number">${stats.mustWatch}</span> must watch ·
         <span class="stat-number">${stats.recommended}</span> recommended ·
-        <span class="stat-number">${stats.skip}</span> skip
+        <span class="stat-number">${stats.skip}</span> skip${formatScoredWith(sortedGames)}${hiddenCount > 0 ? ` · <span class="hidden-count">${hiddenCount} low confidence hidden</span>` : ''}
     </div>`;
 
+    html += archetypeChips;
+    html += renderPersonalWeightsPanel();
+
     // Toggle slider for scores
     html += `
         <div class="spoiler-toggle-wrapper">
@@ -45,6 +75,19 @@ export function displayResults() {
             <div class="toggle-switch ${!window.spoilerFree ? 'active' : ''}" id="scoreToggle">
                 <div class="toggle-slider"></div>
             </div>
+            <span class="toggle-label toggle-label-spaced">weigh stakes</span>
+            <div class="toggle-switch ${window.includeStakes ? 'active' : ''}" id="stakesToggle">
+                <div class="toggle-slider"></div>
+            </div>
+            <span class="toggle-label toggle-label-spaced">personal weights</span>
+            <div class="toggle-switch ${window.usePersonalWeights ? 'active' : ''}" id="personalWeightsToggle">
+                <div class="toggle-slider"></div>
+            </div>
+            ${hasLowConfidence ? `
+            <span class="toggle-label toggle-label-spaced">hide low confidence</span>
+            <div class="toggle-switch ${window.hideLowConfidence ? 'active' : ''}" id="lowConfidenceToggle">
+                <div class="toggle-slider"></div>
+            </div>` : ''}
         </div>
     `;
 
@@ -68,15 +111,55 @@ export function displayResults() {
     // Attach event listeners
     window.periodAverages = calculatePeriodAverages(window.currentGames);
     attachScoreToggleListener();
+    attachArchetypeFilterListeners();
+    attachPersonalWeightsListeners();
     attachRadarChartListeners();
+    attachDataQualityListeners();
     window.attachVoteListeners();
 }
 
+// " · scored with v3.5" for the statistics line (lists every version when a
+// range mixes files scored with different versions)
+export function formatScoredWith(games) {
+    const versions = [...new Set(games.map(g => g._algorithmVersion).filter(Boolean))].sort();
+    if (versions.length === 0) return '';
+    return ` · <span class="algorithm-version">scored with ${versions.map(v => `v${v}`).join(', ')}</span>`;
+}
+
+// Archetype filter chips ("all · comeback · slugfest ..."), in config order
+function renderArchetypeFilter(games) {
+    const present = new Set(games.map(g => g.archetype?.key).filter(Boolean));
+    if (present.size === 0) return '';
+
+    const selected = window.selectedArchetype;
+    const types = window.ALGORITHM_CONFIG.archetypes.types.filter(type => present.has(type.key));
+    const chips = [{ key: 'all', label: 'all' }, ...types].map(type =>
+        `<button class="archetype-chip ${type.key === selected ? 'active' : ''}" data-archetype="${type.key}">${type.label}</button>`
+    );
+    return `<div class="archetype-filter">${chips.join('')}</div>`;
+}
+
+// Data-quality badge with an expandable explanation. The explanations can
+// mention the final margin, so they only render with scores shown
+function renderDataQualityBadge(game, showDetails) {
+    const severity = game.dataQuality?.severity;
+    const icon = getDataQualityIcon(severity);
+    if (!icon) return '';
+
+    const details = showDetails
+        ? formatDataQualityWarning(game.dataQuality)
+        : 'The explanation can reveal the result. Turn on "show scores" to read it.';
+    return `<div class="data-quality">
+                <button class="data-quality-toggle ${severity}" data-game-id="${game.id}" aria-expanded="false" title="Known problems with this game's win probability data">${icon} ${DATA_QUALITY_LABELS[severity]}</button>
+                <div class="data-quality-details" id="data-quality-${game.id}" hidden>${details}</div>
+            </div>`;
+}
+
 // Calculate period averages for radar chart overlay
 export function calculatePeriodAverages(games) {
     if (!games || games.length < 2) return null;
 
-    const metrics = window.ALGORITHM_CONFIG.metrics || [];
+    const metrics = window.getActiveMetrics();
     const metricKeys = metrics.map(metric => metric.key);
 
     if (metricKeys.length === 0) return null;
@@ -97,11 +180,45 @@ export function calculatePeriodAverages(games) {
     return averages;
 }
 
+// Overtime label for score lines ("OT", "double OT", "triple OT", "4OT", "11 inn")
+// Older static data only has the boolean `overtime`, treated as a single OT
+export function formatOvertimeLabel(game, sport = window.selectedSport) {
+    const periods = game.overtimePeriods || (game.overtime ? 1 : 0);
+    if (periods < 1) return '';
+    if (sport === 'MLB') return `${9 + periods} inn`;
+    if (periods === 1) return 'OT';
+    if (periods === 2) return 'double OT';
+    if (periods === 3) return 'triple OT';
+    return `${periods}OT`;
+}
+
+// Score used for ranking and tiers: excitement (re-weighted when personal
+// weights are on), plus the stakes bonus when "weigh stakes" is on (older
+// static data has no stakesBonus)
+export function getGameScore(game) {
+    const personal = window.usePersonalWeights ? getPersonalScore(game) : null;
+    const excitement = personal ?? (game.excitement || 0);
+    if (!window.includeStakes || typeof game.stakesBonus !== 'number') return excitement;
+    return Math.min(10, Math.round((excitement + game.stakesBonus) * 10) / 10);
+}
+
+// Score used for tiers: the ranking score moved to the low/high end of the
+// uncertainty band when ALGORITHM_CONFIG.uncertainty.tierBasis asks for it
+// (older static data has no excitementRange)
+export function getTierScore(game) {
+    const score = getGameScore(game);
+    const halfWidth = game.excitementRange?.halfWidth;
+    const basis = window.ALGORITHM_CONFIG.uncertainty?.tierBasis;
+    if (typeof halfWidth !== 'number' || (basis !== 'low' && basis !== 'high')) return score;
+    const shifted = basis === 'low' ? score - halfWidth : score + halfWidth;
+    return Math.max(1, Math.min(10, Math.round(shifted * 10) / 10));
+}
+
 // Create game row HTML
 export function createGameRow(game, index) {
     console.log(`🎮 createGameRow called for game ${index}: ${game.homeTeam} v ${game.awayTeam}`);
-    const score = game.excitement || 0;
-    const tier = window.getTier(score, window.selectedSport);
+    const score = getGameScore(game);
+    const tier = window.getTier(getTierScore(game), window.selectedSport);
     const ratingClass = tier.cssClass;
     const ratingText = tier.label;
 
@@ -109,7 +226,24 @@ export function createGameRow(game, index) {
 
     // Format scores
     const displayScore = score % 1 === 0 ? score : score.toFixed(window.ALGORITHM_CONFIG.precision.decimals);
-    const gameScoreText = `${game.awayScore || 0}-${game.homeScore || 0}${game.overtime ? ' OT' : ''}`;
+    // With personal weights or the stakes bonus on, the official score stays visible next to the adjusted one
+    const officialScoreText = typeof game.excitement === 'number' && score !== game.excitement
+        ? `<span class="official-score">official ${game.excitement}</span>`
+        : '';
+    const rangeText = typeof game.excitementRange?.halfWidth === 'number'
+        ? `<span class="score-range">± ${game.excitementRange.halfWidth.toFixed(1)}</span>`
+        : '';
+    // Desktop shows the score in the pie, so the band and official score ride on the tier line
+    const scoreDetailText = rangeText || officialScoreText
+        ? `<span class="score-detail"> · ${displayScore}${rangeText}${officialScoreText}</span>`
+        : '';
+    const overtimeLabel = formatOvertimeLabel(game);
+    const overtimeClass = (game.overtimePeriods || 0) >= 2 ? 'ot-label multi-ot' : 'ot-label';
+    // Upset badge reveals the winner, so it only renders with scores shown
+    const upsetBadge = shouldShowGameScore && game.upset?.isUpset
+        ? ` <span class="upset-badge">upset${game.upset.label !== 'upset' ? ` · ${game.upset.label}` : ''}</span>`
+        : '';
+    const gameScoreText = `${game.awayScore || 0}-${game.homeScore || 0}${overtimeLabel ? ` <span class="${overtimeClass}">${overtimeLabel}</span>` : ''}${upsetBadge}`;
 
     // Calculate pie chart values
     const radius = 21;
@@ -158,6 +292,26 @@ export function createGameRow(game, index) {
         bowlInfo = `<div class="bowl-info playoff">${game.playoffRound}</div>`;
     }
 
+    // Spoiler-safe replay entry point (e.g. "start at 2nd half, 8:00")
+    const watchStartInfo = game.watchStart?.label
+        ? `<div class="watch-start">${game.watchStart.label}</div>`
+        : '';
+
+    // Blurb: the spoiler variant names the winner, so it needs scores shown
+    const summaryText = shouldShowGameScore
+        ? game.summary?.spoilerText || game.summary?.text
+        : game.summary?.text;
+    const summaryInfo = summaryText ? `<div class="game-summary">${summaryText}</div>` : '';
+    const archetypeInfo = game.archetype
+        ? `<div class="archetype-tag">${game.archetype.label}</div>`
+        : '';
+    // No WP feed: the score comes from the scoring plays and is coarser
+    const scoreSourceInfo = game.scoreSource === 'play-by-play'
+        ? '<div class="score-source-tag" title="No win probability data for this game; rated from the scoring plays">rated from play-by-play</div>'
+        : '';
+
+    const dataQualityInfo = renderDataQualityBadge(game, shouldShowGameScore);
+
     let contextInfo = '';
     if (game._topGamesContext) {
         contextInfo = `<div class="top-games-context">#${index + 1} · ${game._topGamesContext}</div>`;
@@ -168,7 +322,7 @@ export function createGameRow(game, index) {
             ${bowlInfo}
             ${contextInfo}
             <div class="score-rating-line ${ratingClass}">
-                <span class="score-value">${displayScore}</span>
+                <span class="score-value">${displayScore}</span>${rangeText}${officialScoreText}
                 <span class="score-separator"> · </span>
                 <span class="rating-text">${ratingText}</span>
             </div>
@@ -186,7 +340,12 @@ export function createGameRow(game, index) {
                     ${game.awayTeam} <span class="vs-separator">v</span> ${game.homeTeam}
                 </div>
             </div>
-            <div class="rating ${ratingClass}">${ratingText}</div>
+            <div class="rating ${ratingClass}">${ratingText}${scoreDetailText}</div>
+            ${archetypeInfo}
+            ${scoreSourceInfo}
+            ${dataQualityInfo}
+            ${summaryInfo}
+            ${watchStartInfo}
             <div class="vote-container">
                 <button class="vote-btn upvote" data-game-id="${game.id}" data-vote="up">△</button>
                 <button class="vote-btn downvote" data-game-id="${game.id}" data-vote="down">▽</button>
@@ -210,6 +369,46 @@ export function attachScoreToggleListener() {
             displayResults();
         });
     }
+
+    const stakesToggle = document.getElementById('stakesToggle');
+    if (stakesToggle) {
+        stakesToggle.addEventListener('click', () => {
+            window.includeStakes = !window.includeStakes;
+            localStorage.setItem('includeStakes', window.includeStakes);
+            displayResults();
+        });
+    }
+
+    const lowConfidenceToggle = document.getElementById('lowConfidenceToggle');
+    if (lowConfidenceToggle) {
+        lowConfidenceToggle.addEventListener('click', () => {
+            window.hideLowConfidence = !window.hideLowConfidence;
+            localStorage.setItem('hideLowConfidence', window.hideLowConfidence);
+            displayResults();
+        });
+    }
+}
+
+// Attach data-quality badge listeners (expand/collapse the explanation)
+export function attachDataQualityListeners() {
+    document.querySelectorAll('.data-quality-toggle').forEach(button => {
+        button.addEventListener('click', () => {
+            const details = document.getElementById(`data-quality-${button.dataset.gameId}`);
+            if (!details) return;
+            details.hidden = !details.hidden;
+            button.setAttribute('aria-expanded', String(!details.hidden));
+        });
+    });
+}
+
+// Attach archetype filter listeners
+export function attachArchetypeFilterListeners() {
+    document.querySelectorAll('.archetype-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            window.selectedArchetype = chip.dataset.archetype;
+            displayResults();
+        });
+    });
 }
 
 // Attach radar chart click listeners
@@ -233,7 +432,8 @@ export function attachRadarChartListeners() {
                     button.textContent = 'View breakdown';
                 } else {
                     console.log('Rendering chart');
-                    container.innerHTML = window.renderRadarChart(breakdown, window.periodAverages);
+                    container.innerHTML = window.renderRadarChart(breakdown, window.periodAverages) +
+                        window.renderPeriodStrip(breakdown.periods);
                     button.textContent = 'Hide breakdown';
 
                     // Attach hover listeners to metric labels
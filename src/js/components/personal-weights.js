@@ -0,0 +1,142 @@
+/**
+ * Personal Weights Component
+ * Re-scores games in the browser with the viewer's own tension/drama/finish
+ * weights, using the breakdown every game already carries
+ */
+
+const STORAGE_KEY = 'personalWeights';
+const METRIC_KEYS = ['tension', 'drama', 'finish'];
+
+/**
+ * Preset weightings; 'official' mirrors ALGORITHM_CONFIG.weights
+ */
+export function getWeightPresets() {
+    return [
+        { key: 'official', label: 'official', weights: { ...window.ALGORITHM_CONFIG.weights } },
+        { key: 'finish-heavy', label: 'finish-heavy', weights: { tension: 0.1, drama: 0.2, finish: 0.7 } },
+        { key: 'finishes-only', label: 'I only care about finishes', weights: { tension: 0, drama: 0, finish: 1 } },
+        { key: 'swings', label: 'momentum swings', weights: { tension: 0.1, drama: 0.7, finish: 0.2 } },
+        { key: 'nail-biters', label: 'nail-biters', weights: { tension: 0.6, drama: 0.1, finish: 0.3 } }
+    ];
+}
+
+/**
+ * Load saved weights (falls back to the official weights)
+ */
+export function loadPersonalWeights() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && METRIC_KEYS.every(key => typeof saved[key] === 'number')) return saved;
+    } catch (error) {
+        console.warn('Ignoring invalid saved personal weights:', error);
+    }
+    return { ...window.ALGORITHM_CONFIG.weights };
+}
+
+function savePersonalWeights(weights) {
+    window.personalWeights = weights;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(weights));
+}
+
+/**
+ * Personal score: the official score shifted by the difference between the
+ * personal and official weighted components, so bonuses (OT, comebacks,
+ * upsets) and the margin correction still count
+ * @param {Object} game - Game with excitement and breakdown
+ * @returns {number|null} Personal score (1-10), or null without a breakdown
+ */
+export function getPersonalScore(game) {
+    const breakdown = game.breakdown;
+    if (typeof game.excitement !== 'number' || !breakdown ||
+        !METRIC_KEYS.every(key => typeof breakdown[key] === 'number')) {
+        return null;
+    }
+
+    const official = window.ALGORITHM_CONFIG.weights;
+    const personal = window.personalWeights || official;
+    const total = METRIC_KEYS.reduce((sum, key) => sum + personal[key], 0) || 1;
+
+    const shift = METRIC_KEYS.reduce(
+        (sum, key) => sum + (personal[key] / total - official[key]) * breakdown[key],
+        0
+    );
+    return Math.max(1, Math.min(10, Math.round((game.excitement + shift) * 10) / 10));
+}
+
+function weightPercent(weights, key) {
+    const total = METRIC_KEYS.reduce((sum, k) => sum + weights[k], 0) || 1;
+    return Math.round((weights[key] / total) * 100);
+}
+
+/**
+ * Render the presets + sliders panel (only when personal weights are on)
+ * @returns {string} HTML string
+ */
+export function renderPersonalWeightsPanel() {
+    if (!window.usePersonalWeights) return '';
+
+    const weights = window.personalWeights || loadPersonalWeights();
+    const metrics = window.ALGORITHM_CONFIG.metrics.filter(metric => METRIC_KEYS.includes(metric.key));
+
+    const presets = getWeightPresets().map(preset => {
+        const active = METRIC_KEYS.every(key => weightPercent(preset.weights, key) === weightPercent(weights, key));
+        return `<button class="weight-preset ${active ? 'active' : ''}" data-preset="${preset.key}">${preset.label}</button>`;
+    }).join('');
+
+    const sliders = metrics.map(metric => `
+        <label class="weight-slider">
+            <span class="weight-slider-label">${metric.label.toLowerCase()}</span>
+            <input type="range" min="0" max="100" step="5" value="${weightPercent(weights, metric.key)}" data-metric="${metric.key}">
+            <span class="weight-slider-value" data-metric-value="${metric.key}">${weightPercent(weights, metric.key)}%</span>
+        </label>
+    `).join('');
+
+    return `
+        <div class="personal-weights-panel">
+            <div class="weight-presets">${presets}</div>
+            <div class="weight-sliders">${sliders}</div>
+        </div>
+    `;
+}
+
+/**
+ * Attach toggle, preset and slider listeners; every change re-ranks the list
+ */
+export function attachPersonalWeightsListeners() {
+    const toggle = document.getElementById('personalWeightsToggle');
+    if (toggle) {
+        toggle.addEventListener('click', () => {
+            window.usePersonalWeights = !window.usePersonalWeights;
+            localStorage.setItem('usePersonalWeights', window.usePersonalWeights);
+            if (window.usePersonalWeights && !window.personalWeights) {
+                window.personalWeights = loadPersonalWeights();
+            }
+            window.displayResults();
+        });
+    }
+
+    document.querySelectorAll('.weight-preset').forEach(button => {
+        button.addEventListener('click', () => {
+            const preset = getWeightPresets().find(p => p.key === button.dataset.preset);
+            if (!preset) return;
+            savePersonalWeights({ ...preset.weights });
+            window.displayResults();
+        });
+    });
+
+    document.querySelectorAll('.weight-slider input').forEach(slider => {
+        // Live label while dragging; re-rank once the slider is released
+        slider.addEventListener('input', () => {
+            const label = document.querySelector(`[data-metric-value="${slider.dataset.metric}"]`);
+            if (label) label.textContent = `${slider.value}%`;
+        });
+        slider.addEventListener('change', () => {
+            const weights = {};
+            document.querySelectorAll('.weight-slider input').forEach(input => {
+                weights[input.dataset.metric] = Number(input.value) / 100;
+            });
+            savePersonalWeights(weights);
+            window.displayResults();
+        });
+    });
+}
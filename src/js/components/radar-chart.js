@@ -3,6 +3,15 @@
  * Handles rendering and interaction for the metric breakdown radar charts
  */
 
+/**
+ * Metrics to chart and average: optional metrics (stakes) only when "weigh stakes" is on
+ * @returns {Array} Metric definitions from ALGORITHM_CONFIG.metrics
+ */
+export function getActiveMetrics() {
+    const metrics = window.ALGORITHM_CONFIG.metrics || [];
+    return metrics.filter(metric => !metric.optional || window.includeStakes);
+}
+
 /**
  * Render radar chart for metric breakdown
  * @param {Object} breakdown - The game's metric breakdown data
@@ -15,7 +24,7 @@ export function renderRadarChart(breakdown, averages = null) {
         return '<div style="color: #6b6560; font-size: 11px; padding: 8px;">Breakdown data not available for this game. Try selecting a different week to load fresh data.</div>';
     }
 
-    const metrics = window.ALGORITHM_CONFIG.metrics || [];
+    const metrics = getActiveMetrics().filter(metric => !metric.optional || typeof breakdown[metric.key] === 'number');
     if (metrics.length === 0) {
         return '<div style="color: #6b6560; font-size: 11px; padding: 8px;">Breakdown data not available for this game. Try selecting a different week to load fresh data.</div>';
     }
@@ -121,6 +130,41 @@ export function renderRadarChart(breakdown, averages = null) {
     `;
 }
 
+/**
+ * Render per-period excitement as a bar strip (spoiler-safe: no scores or teams)
+ * @param {Array|undefined} periods - breakdown.periods ([{ period, label, score }])
+ * @returns {string} HTML string containing the bar strip, or '' when unavailable
+ */
+export function renderPeriodStrip(periods) {
+    if (!Array.isArray(periods) || periods.length === 0) {
+        return '';
+    }
+
+    const maxScale = window.ALGORITHM_CONFIG.scale.max || 10;
+    const decimals = window.ALGORITHM_CONFIG.precision.decimals;
+    const barMaxHeight = 80;
+
+    const bars = periods.map(p => {
+        const score = typeof p.score === 'number' ? p.score : 0;
+        const height = Math.max(2, Math.round((score / maxScale) * barMaxHeight));
+        return `
+            <div class="period-bar" title="${p.label}: ${score.toFixed(decimals)}">
+                <div class="period-bar-track" style="height: ${barMaxHeight}px;">
+                    <div class="period-bar-fill" style="height: ${height}px;"></div>
+                </div>
+                <span class="period-bar-label">${p.label}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="period-strip">
+            <div class="period-strip-title">By period</div>
+            <div class="period-strip-bars">${bars}</div>
+        </div>
+    `;
+}
+
 /**
  * Attach hover listeners to radar chart metric labels
  * Shows tooltips with metric descriptions on hover
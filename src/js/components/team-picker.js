@@ -285,6 +285,7 @@ export function displaySingleGame(game) {
     });
 
     window.attachRadarChartListeners();
+    window.attachDataQualityListeners();
 }
 
 /**
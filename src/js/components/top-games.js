@@ -3,7 +3,7 @@
  * Shows the best games across a time range without needing to export
  */
 
-import { fetchStaticData } from '../services/api.js';
+import { fetchStaticData, tagAlgorithmVersion } from '../services/api.js';
 import { getCurrentWeek, getDefaultNBADate, formatDate, addDays, parseDate, isDateBasedSport } from '../utils/dates.js';
 
 const TOP_GAMES_COUNT = 10;
@@ -87,7 +87,7 @@ async function fetchTopGames(sport, season, preset) {
         try {
             const staticData = await fetchStaticData(sport, season, period);
             if (staticData && staticData.success && staticData.games) {
-                staticData.games.forEach(game => {
+                tagAlgorithmVersion(staticData.games, staticData.metadata).forEach(game => {
                     game._topGamesContext = formatContext(sport, period);
                     allGames.push(game);
                 });
@@ -108,7 +108,7 @@ async function fetchTopGames(sport, season, preset) {
                 const data = await response.json();
 
                 if (data.success && data.games) {
-                    data.games.forEach(game => {
+                    tagAlgorithmVersion(data.games, data.metadata).forEach(game => {
                         game._topGamesContext = formatContext(sport, period);
                         allGames.push(game);
                     });
@@ -124,7 +124,7 @@ async function fetchTopGames(sport, season, preset) {
         }
     }
 
-    allGames.sort((a, b) => (b.excitement || 0) - (a.excitement || 0));
+    allGames.sort((a, b) => window.getGameScore(b) - window.getGameScore(a));
     return allGames.slice(0, TOP_GAMES_COUNT);
 }
 
@@ -183,9 +183,9 @@ function displayTopGamesResults(games, rangeLabel) {
     const resultsArea = document.getElementById('resultsArea');
 
     const stats = {
-        mustWatch: games.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'must-watch').length,
-        recommended: games.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'recommended').length,
-        skip: games.filter(g => window.getTier(g.excitement || 0, window.selectedSport)?.cssClass === 'skip').length
+        mustWatch: games.filter(g => window.getTier(window.getTierScore(g), window.selectedSport)?.cssClass === 'must-watch').length,
+        recommended: games.filter(g => window.getTier(window.getTierScore(g), window.selectedSport)?.cssClass === 'recommended').length,
+        skip: games.filter(g => window.getTier(window.getTierScore(g), window.selectedSport)?.cssClass === 'skip').length
     };
 
     let html = '';
@@ -194,7 +194,7 @@ function displayTopGamesResults(games, rangeLabel) {
         top ${games.length} games · ${rangeLabel} ·
         <span class="stat-number">${stats.mustWatch}</span> must watch ·
         <span class="stat-number">${stats.recommended}</span> recommended ·
-        <span class="stat-number">${stats.skip}</span> skip
+        <span class="stat-number">${stats.skip}</span> skip${window.formatScoredWith(games)}
     </div>`;
 
     html += `
@@ -226,6 +226,7 @@ function displayTopGamesResults(games, rangeLabel) {
 
     window.periodAverages = window.calculatePeriodAverages(games);
     window.attachRadarChartListeners();
+    window.attachDataQualityListeners();
     window.attachVoteListeners();
 }
 
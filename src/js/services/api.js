@@ -68,6 +68,16 @@ export async function fetchStaticData(sport, season, weekOrDate) {
     }
 }
 
+// Tag each game with the algorithm version its list was scored with, so the
+// UI can show it and votes record it (older static files have no version)
+export function tagAlgorithmVersion(games, metadata) {
+    const version = metadata?.algorithmVersion;
+    if (version) {
+        games.forEach(game => { game._algorithmVersion = version; });
+    }
+    return games;
+}
+
 // Load games
 export async function loadGames(fallbackAttempt = 0) {
     const loadId = Math.random().toString(36).substr(2, 9);
@@ -101,7 +111,7 @@ export async function loadGames(fallbackAttempt = 0) {
             if (staticData && staticData.success && staticData.games && staticData.games.length > 0) {
                 console.log(`✅ [${loadId}] Loaded from static file:`, getStaticPath(window.selectedSport, window.selectedSeason, weekOrDate));
                 console.log(`📊 [${loadId}] All games from static file:`, staticData.games.map(g => `${g.homeTeam} v ${g.awayTeam}`));
-                window.currentGames = staticData.games;
+                window.currentGames = tagAlgorithmVersion(staticData.games, staticData.metadata);
                 console.log(`📊 [${loadId}] window.currentGames set to:`, window.currentGames.length, 'games');
                 console.log(`🎯 [${loadId}] About to call displayResults()`);
                 window.displayResults();
@@ -148,7 +158,7 @@ export async function loadGames(fallbackAttempt = 0) {
 
         if (data.success && data.games && data.games.length > 0) {
             console.log(`✅ Loaded ${data.games.length} games from API`);
-            window.currentGames = data.games;
+            window.currentGames = tagAlgorithmVersion(data.games, data.metadata);
             window.displayResults();
 
             // Cache successful API load
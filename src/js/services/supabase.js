@@ -50,7 +50,8 @@ export async function upsertVoteToSupabase(gameId, voteType, game, sport, season
       game_id: gameId,
       vote: voteType,
       algorithm_score: game?.excitement || null,
-      algorithm_version: window.ALGORITHM_CONFIG?.version || null,
+      // Version the voted-on list was scored with, so disputed ratings can be reproduced
+      algorithm_version: game?._algorithmVersion || window.ALGORITHM_CONFIG?.version || null,
       sport: sport,
       season: season,
       week: week